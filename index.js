@@ -0,0 +1,11 @@
+// Library entry point. `npm start` runs server.js, the CLI wrapper around createProxyServer.
+const { createProxyServer, getProxyBase } = require('./lib/proxy-server');
+const { createConfig, loadConfig, redactConfig } = require('./lib/config');
+
+module.exports = {
+  createProxyServer,
+  createConfig,
+  getProxyBase,
+  loadConfig,
+  redactConfig
+};
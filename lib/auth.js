@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const { parseCookieHeader } = require('./cookies');
+const { logger } = require('./logger');
+
+// Proxy-owned cookie carrying a signed login - never forwarded upstream
+const AUTH_COOKIE = '__proxy_auth';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+// Stand-in origin safeNextPath resolves next against
+const NEXT_BASE = 'http://proxy.invalid';
+
+// Short, stable identifier for a key so cookies, logs and quota counters never hold the key itself
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// Only follow post-login redirects back into this proxy. Browsers read '/\host' (and '/\t/host')
+// as the protocol-relative '//host', so next is resolved the way they would and must stay on
+// the same origin; the normalized path is what gets redirected to.
+function safeNextPath(next, base) {
+  if (typeof next !== 'string' || !next.startsWith('/')) {
+    return `${base}/`;
+  }
+  const url = new URL(next, NEXT_BASE);
+  if (url.origin !== NEXT_BASE) {
+    return `${base}/`;
+  }
+  return url.pathname + url.search + url.hash;
+}
+
+function loginPage(base, next, error) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Proxy login</title>
+  <style>
+    body { font-family: sans-serif; background: #f4f4f4; display: flex; justify-content: center; padding-top: 15vh; }
+    form { background: #fff; padding: 24px 32px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); }
+    input { display: block; width: 280px; margin: 12px 0; padding: 8px; }
+    .error { color: #c00; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="${escapeHTML(base)}/login">
+    <h2>Proxy login</h2>
+    ${error ? `<p class="error">${escapeHTML(error)}</p>` : ''}
+    <input type="password" name="key" placeholder="API key" autofocus required>
+    <input type="hidden" name="next" value="${escapeHTML(next)}">
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+// API-key authentication, signed login cookies and per-key quotas.
+// options - the auth config section (see lib/config.js)
+// cookieDomain - share the login cookie with every subdomain of this domain (origin isolation)
+function createAuth(options, cookieDomain = '', log = logger) {
+  const keys = new Map(options.keys.map(key => [keyId(key), key]));
+  const headerName = options.header.toLowerCase();
+  const cookieDomainAttribute = cookieDomain ? `; Domain=${cookieDomain}` : '';
+
+  // Without a configured secret, logins only last until the process restarts
+  const secret = options.sessionSecret || crypto.randomBytes(32).toString('hex');
+  if (!options.sessionSecret) {
+    log.warn('auth.sessionSecret not set - login cookies will not survive a restart', { component: 'auth' });
+  }
+
+  // Key id -> { minuteStart, requests, dayStart, bytes }
+  const usage = new Map();
+
+  const sign = (value) => crypto.createHmac('sha256', secret).update(value).digest('hex');
+
+  // Resolve a presented key to its id, or null when it isn't one of ours
+  function findKey(candidate) {
+    if (!candidate) return null;
+    const id = keyId(candidate);
+    const key = keys.get(id);
+    return key && safeEqual(key, candidate) ? id : null;
+  }
+
+  // Cookie value: keyId.expiry.signature
+  function issueCookie(id) {
+    const value = `${id}.${Date.now() + options.sessionTtl}`;
+    return `${value}.${sign(value)}`;
+  }
+
+  function verifyCookie(cookie) {
+    const [id, expires, signature] = (cookie || '').split('.');
+    if (!id || !expires || !signature) return null;
+    if (!safeEqual(sign(`${id}.${expires}`), signature)) return null;
+    if (Number(expires) < Date.now() || !keys.has(id)) return null;
+    return id;
+  }
+
+  function queryKey(req) {
+    const query = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+    return new URLSearchParams(query).get(options.queryParam);
+  }
+
+  // Key id for the request's API key (header, then query) or login cookie; null if none is valid
+  function authenticate(req) {
+    const presented = req.headers[headerName] || queryKey(req);
+    if (presented) {
+      return findKey(presented);
+    }
+    const entry = parseCookieHeader(req.headers.cookie).find(([name]) => name === AUTH_COOKIE);
+    return entry ? verifyCookie(entry[1]) : null;
+  }
+
+  // url with the value of the key parameter replaced, for logs and recordings
+  function redactCredentials(url) {
+    const index = url.indexOf('?');
+    if (index === -1) return url;
+    // Pair by pair, so the rest of the query is logged as it was sent
+    const pairs = url.substring(index + 1).split('&').map(pair => {
+      const name = pair.split('=')[0];
+      let decoded = name;
+      try {
+        decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+      } catch (e) {}
+      return decoded === options.queryParam ? `${name}=[redacted]` : pair;
+    });
+    return `${url.substring(0, index)}?${pairs.join('&')}`;
+  }
+
+  // Remove the proxy's credentials so they are never sent to the target site
+  function stripCredentials(req) {
+    delete req.headers[headerName];
+
+    const index = req.url.indexOf('?');
+    if (index === -1) return;
+    const params = new URLSearchParams(req.url.substring(index));
+    if (!params.has(options.queryParam)) return;
+    params.delete(options.queryParam);
+    const query = params.toString();
+    req.url = req.url.substring(0, index) + (query ? `?${query}` : '');
+  }
+
+  // Fixed windows: requests per clock minute, bytes per UTC day
+  function usageFor(id) {
+    const now = Date.now();
+    const minuteStart = now - (now % MINUTE);
+    const dayStart = now - (now % DAY);
+
+    let entry = usage.get(id);
+    if (!entry) {
+      entry = { minuteStart, requests: 0, dayStart, bytes: 0 };
+      usage.set(id, entry);
+    }
+    if (entry.minuteStart !== minuteStart) {
+      entry.minuteStart = minuteStart;
+      entry.requests = 0;
+    }
+    if (entry.dayStart !== dayStart) {
+      entry.dayStart = dayStart;
+      entry.bytes = 0;
+    }
+    return entry;
+  }
+
+  // Count one request against the key. Returns null when allowed, otherwise
+  // { retryAfter (seconds), message } describing the exhausted quota.
+  function checkQuota(id) {
+    const entry = usageFor(id);
+    const now = Date.now();
+
+    if (options.bytesPerDay && entry.bytes >= options.bytesPerDay) {
+      return {
+        retryAfter: Math.ceil((entry.dayStart + DAY - now) / 1000),
+        message: `Daily transfer limit of ${options.bytesPerDay} bytes reached`
+      };
+    }
+    if (options.requestsPerMinute && entry.requests >= options.requestsPerMinute) {
+      return {
+        retryAfter: Math.ceil((entry.minuteStart + MINUTE - now) / 1000),
+        message: `Request limit of ${options.requestsPerMinute} per minute reached`
+      };
+    }
+
+    entry.requests++;
+    return null;
+  }
+
+  function recordBytes(id, bytes) {
+    usageFor(id).bytes += bytes;
+  }
+
+  // Count response body bytes as they are written, streamed or not
+  function meterResponse(res, id) {
+    const write = res.write;
+    const end = res.end;
+    const count = (chunk, encoding) => {
+      if (chunk && typeof chunk !== 'function') {
+        recordBytes(id, Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined));
+      }
+    };
+    res.write = function(chunk, encoding, callback) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function(chunk, encoding, callback) {
+      count(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+  }
+
+  // Middleware guarding everything registered after it
+  function requireAuth(req, res, next) {
+    const id = authenticate(req);
+
+    if (!id) {
+      const loginUrl = `${req.baseUrl}/login`;
+      // Browsers navigating to a page get the login form, everything else a 401
+      if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+        return res.redirect(`${loginUrl}?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: `Send an API key in the ${options.header} header or ?${options.queryParam}= parameter, or sign in`,
+        login: loginUrl
+      });
+    }
+
+    const exceeded = checkQuota(id);
+    if (exceeded) {
+      req.log.warn('Quota exceeded', { component: 'auth', key: id, error: exceeded.message });
+      res.set('Retry-After', String(exceeded.retryAfter));
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: exceeded.message,
+        retryAfter: exceeded.retryAfter
+      });
+    }
+
+    stripCredentials(req);
+    meterResponse(res, id);
+    req.proxyKeyId = id;
+    next();
+  }
+
+  function showLogin(req, res) {
+    res.send(loginPage(req.baseUrl, safeNextPath(req.query.next, req.baseUrl)));
+  }
+
+  // Accepts the login form or JSON { key, next }
+  function handleLogin(req, res) {
+    const body = req.body || {};
+    const next = safeNextPath(body.next, req.baseUrl);
+    const id = findKey(typeof body.key === 'string' ? body.key : '');
+
+    if (!id) {
+      req.log.warn('Failed login attempt', { component: 'auth' });
+      return res.status(401).send(loginPage(req.baseUrl, next, 'Invalid API key'));
+    }
+
+    const secure = req.protocol === 'https' || req.headers['x-forwarded-proto'] === 'https';
+    res.append('Set-Cookie', `${AUTH_COOKIE}=${issueCookie(id)}; Path=${req.baseUrl || '/'}${cookieDomainAttribute}; ` +
+      `Max-Age=${Math.floor(options.sessionTtl / 1000)}; HttpOnly; SameSite=Lax${secure ? '; Secure' : ''}`);
+    res.redirect(303, next);
+  }
+
+  function handleLogout(req, res) {
+    res.append('Set-Cookie', `${AUTH_COOKIE}=; Path=${req.baseUrl || '/'}${cookieDomainAttribute}; Max-Age=0; HttpOnly; SameSite=Lax`);
+    res.json({ status: 'logged out' });
+  }
+
+  return {
+    authenticate,
+    checkQuota,
+    recordBytes,
+    redactCredentials,
+    stripCredentials,
+    requireAuth,
+    showLogin,
+    handleLogin,
+    handleLogout
+  };
+}
+
+module.exports = {
+  AUTH_COOKIE,
+  createAuth
+};
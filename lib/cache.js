@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Different Vary values kept per URL before the oldest variant is dropped
+const MAX_VARIANTS = 8;
+// Heuristic freshness for responses with only Last-Modified: 10% of their age, capped at a day
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX = 24 * 60 * 60 * 1000;
+
+// Parse a Cache-Control header into { directive: value|true }, numeric values as numbers
+function parseCacheControl(header) {
+  const directives = {};
+  String(header || '').split(',').forEach(part => {
+    const [rawName, rawValue] = part.split('=');
+    const name = rawName.trim().toLowerCase();
+    if (!name) return;
+    if (rawValue === undefined) {
+      directives[name] = true;
+      return;
+    }
+    const value = rawValue.trim().replace(/^"|"$/g, '');
+    directives[name] = /^\d+$/.test(value) ? Number(value) : value;
+  });
+  return directives;
+}
+
+// Case-insensitive header lookup - request options use canonical names, responses lower case
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+  return key === undefined ? undefined : String(headers[key]);
+}
+
+function varyNames(headers) {
+  return String(headers.vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+function varyMatches(variant, requestHeaders) {
+  return variant.varyNames.every(name => variant.varyValues[name] === headerValue(requestHeaders, name));
+}
+
+// How long a stored response stays fresh, in milliseconds
+function freshnessLifetime(variant) {
+  const headers = variant.headers;
+  const cc = parseCacheControl(headers['cache-control']);
+
+  if (cc['no-cache']) return 0;
+  if (typeof cc['s-maxage'] === 'number') return cc['s-maxage'] * 1000;
+  if (typeof cc['max-age'] === 'number') return cc['max-age'] * 1000;
+
+  const date = Date.parse(headers.date) || variant.responseTime;
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+  }
+  if (headers['last-modified']) {
+    const lastModified = Date.parse(headers['last-modified']);
+    if (!Number.isNaN(lastModified)) {
+      return Math.min(HEURISTIC_MAX, Math.max(0, (date - lastModified) * HEURISTIC_FRACTION));
+    }
+  }
+  return 0;
+}
+
+// Seconds since the response left the origin, including any Age it arrived with
+function currentAge(variant) {
+  const initialAge = (parseInt(variant.headers.age, 10) || 0) * 1000;
+  return initialAge + Date.now() - variant.responseTime;
+}
+
+function isFresh(variant) {
+  return currentAge(variant) < freshnessLifetime(variant);
+}
+
+function hasValidators(variant) {
+  return Boolean(variant.headers.etag || variant.headers['last-modified']);
+}
+
+// Request-side rules: only plain GETs, never ranges, and honour no-store
+function isCacheableRequest(options) {
+  if ((options.method || 'GET').toUpperCase() !== 'GET') return false;
+  if (headerValue(options.headers, 'range')) return false;
+  return !parseCacheControl(headerValue(options.headers, 'cache-control'))['no-store'];
+}
+
+// Client asked for an end-to-end check (reload, no-cache, max-age=0)
+function requestNeedsRevalidation(options) {
+  const cc = parseCacheControl(headerValue(options.headers, 'cache-control'));
+  return Boolean(cc['no-cache'] || cc['max-age'] === 0 ||
+    /no-cache/i.test(headerValue(options.headers, 'pragma') || ''));
+}
+
+// The upstream request carries Authorization or cookies - forwarded from the browser, or added by
+// request() from the session's jar when it is sent
+function sendsCredentials(options) {
+  if (headerValue(options.headers, 'authorization') || headerValue(options.headers, 'cookie')) return true;
+  return Boolean(options.jar && options.url && options.jar.getCookieString(options.url));
+}
+
+// The headers the upstream request goes out with, for matching Vary: request() appends the
+// session jar's cookies to the browser's Cookie header when it is sent
+function upstreamHeaders(options) {
+  const jarCookies = options.jar && options.url ? options.jar.getCookieString(options.url) : '';
+  if (!jarCookies) return options.headers;
+
+  const headers = { ...options.headers };
+  const key = Object.keys(headers).find(header => header.toLowerCase() === 'cookie');
+  if (key === undefined) {
+    headers.cookie = jarCookies;
+  } else {
+    headers[key] = `${headers[key]}; ${jarCookies}`;
+  }
+  return headers;
+}
+
+// Response-side rules for a shared cache
+function isStorableResponse(options, response) {
+  const headers = response.headers;
+  const cc = parseCacheControl(headers['cache-control']);
+
+  if (response.statusCode !== 200) return false;
+  if (cc['no-store'] || cc.private) return false;
+  if (headers['set-cookie']) return false;
+  if (varyNames(headers).includes('*')) return false;
+  // Responses to requests with credentials are personal unless the origin says otherwise
+  if (sendsCredentials(options) && !cc.public && cc['s-maxage'] === undefined) return false;
+
+  return freshnessLifetime({ headers, responseTime: Date.now() }) > 0 || Boolean(headers.etag || headers['last-modified']);
+}
+
+// Does a stored variant satisfy the browser's own If-None-Match / If-Modified-Since?
+function matchesClientValidators(variant, reqHeaders) {
+  const ifNoneMatch = reqHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    const etag = (variant.headers.etag || '').replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag);
+  }
+  const ifModifiedSince = Date.parse(reqHeaders['if-modified-since']);
+  const lastModified = Date.parse(variant.headers['last-modified']);
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+function recordSize(record) {
+  return record.variants.reduce((total, variant) => {
+    let size = variant.body.length + 512;
+    variant.rewritten.forEach(output => { size += Buffer.byteLength(output); });
+    return total + size;
+  }, 0);
+}
+
+// On-disk tier: one file per URL holding a JSON header line followed by the variants' bodies.
+// Rewritten output is not persisted - it is cheap to rebuild from the raw body.
+function createDiskStore(dir, maxBytes, log) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // File name -> size, oldest first
+  const index = new Map();
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.entry'))
+    .map(name => ({ name, stat: fs.statSync(path.join(dir, name)) }))
+    .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+    .forEach(({ name, stat }) => index.set(name, stat.size));
+
+  let totalBytes = 0;
+  index.forEach(size => { totalBytes += size; });
+
+  const fileFor = (url) => `${crypto.createHash('sha256').update(url).digest('hex')}.entry`;
+
+  function forget(name) {
+    totalBytes -= index.get(name) || 0;
+    index.delete(name);
+  }
+
+  function evict() {
+    for (const name of index.keys()) {
+      if (totalBytes <= maxBytes) break;
+      forget(name);
+      fs.promises.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+
+  async function read(url) {
+    const name = fileFor(url);
+    if (!index.has(name)) return null;
+
+    try {
+      const data = await fs.promises.readFile(path.join(dir, name));
+      const newline = data.indexOf(10);
+      const meta = JSON.parse(data.slice(0, newline).toString('utf8'));
+      if (meta.url !== url) return null;
+
+      let offset = newline + 1;
+      const variants = meta.variants.map(variant => {
+        const body = data.slice(offset, offset + variant.bodyLength);
+        offset += variant.bodyLength;
+        return { ...variant, body, rewritten: new Map() };
+      });
+
+      // Move to the young end of the index
+      index.delete(name);
+      index.set(name, data.length);
+      return { url, variants };
+    } catch (e) {
+      log.error('Failed to read a cache file', { file: name, error: e.message });
+      forget(name);
+      return null;
+    }
+  }
+
+  function write(record) {
+    const name = fileFor(record.url);
+    const meta = {
+      url: record.url,
+      variants: record.variants.map(({ body, rewritten, ...variant }) => ({ ...variant, bodyLength: body.length }))
+    };
+    const data = Buffer.concat([Buffer.from(`${JSON.stringify(meta)}\n`), ...record.variants.map(variant => variant.body)]);
+
+    forget(name);
+    index.set(name, data.length);
+    totalBytes += data.length;
+
+    fs.promises.writeFile(path.join(dir, name), data)
+      .then(evict)
+      .catch(e => {
+        log.error('Failed to write a cache file', { file: name, error: e.message });
+        forget(name);
+      });
+  }
+
+  function remove(url) {
+    const name = fileFor(url);
+    if (!index.has(name)) return;
+    forget(name);
+    fs.promises.unlink(path.join(dir, name)).catch(() => {});
+  }
+
+  return { read, write, remove };
+}
+
+// HTTP cache for upstream responses: an in-memory LRU over URLs, optionally backed by a disk store.
+// options - the cache config section (see lib/config.js)
+function createCache(options, log = logger) {
+  // URL -> { url, variants: [{ varyNames, varyValues, status, headers, body, responseTime, rewritten }] }
+  const memory = new Map();
+  let memoryBytes = 0;
+  const disk = options.dir ? createDiskStore(options.dir, options.diskMaxBytes, log.child({ component: 'cache' })) : null;
+
+  const stats = {
+    hits: 0,
+    misses: 0,
+    revalidated: 0,
+    stored: 0,
+    evicted: 0,
+    rewriteHits: 0,
+    rewriteMisses: 0
+  };
+
+  function remember(record) {
+    if (memory.has(record.url)) {
+      memoryBytes -= memory.get(record.url).size;
+      memory.delete(record.url);
+    }
+    record.size = recordSize(record);
+    memory.set(record.url, record);
+    memoryBytes += record.size;
+
+    // Evict least recently used URLs until both limits hold
+    for (const [url, oldest] of memory) {
+      if (memory.size <= options.maxEntries && memoryBytes <= options.maxBytes) break;
+      memory.delete(url);
+      memoryBytes -= oldest.size;
+      stats.evicted++;
+    }
+  }
+
+  // Find the stored variant for a request, or null. Resolves asynchronously when the disk is consulted.
+  async function lookup(url, requestHeaders) {
+    let record = memory.get(url);
+    if (record) {
+      remember(record);
+    } else if (disk) {
+      record = await disk.read(url);
+      if (record) remember(record);
+    }
+
+    const variant = record ? record.variants.find(candidate => varyMatches(candidate, requestHeaders)) : null;
+    return variant || null;
+  }
+
+  function store(url, requestHeaders, response, body) {
+    if (body.length > options.maxEntrySize) return null;
+
+    const names = varyNames(response.headers);
+    const varyValues = {};
+    names.forEach(name => { varyValues[name] = headerValue(requestHeaders, name); });
+
+    const variant = {
+      varyNames: names,
+      varyValues,
+      status: response.statusCode,
+      headers: { ...response.headers },
+      body,
+      responseTime: Date.now(),
+      rewritten: new Map()
+    };
+
+    const existing = memory.get(url);
+    const others = existing ? existing.variants.filter(candidate => !varyMatches(candidate, requestHeaders)) : [];
+    const record = { url, variants: [variant, ...others].slice(0, MAX_VARIANTS) };
+
+    remember(record);
+    if (disk) disk.write(record);
+    stats.stored++;
+    return variant;
+  }
+
+  // Apply a 304's updated headers (freshness, validators) to the stored variant
+  function refresh(url, variant, headers) {
+    ['cache-control', 'expires', 'date', 'etag', 'last-modified', 'age', 'vary'].forEach(name => {
+      if (headers[name] !== undefined) variant.headers[name] = headers[name];
+    });
+    if (headers.age === undefined) delete variant.headers.age;
+    variant.responseTime = Date.now();
+    stats.revalidated++;
+
+    const record = memory.get(url);
+    if (record && disk) disk.write(record);
+  }
+
+  function invalidate(url) {
+    const record = memory.get(url);
+    if (record) {
+      memory.delete(url);
+      memoryBytes -= record.size;
+    }
+    if (disk) disk.remove(url);
+  }
+
+  // Rewritten HTML/CSS depends on the proxy base it was rewritten for, so it is kept per base
+  function getRewritten(variant, proxyBase) {
+    const output = variant.rewritten.get(proxyBase);
+    if (output === undefined) {
+      stats.rewriteMisses++;
+      return null;
+    }
+    stats.rewriteHits++;
+    return output;
+  }
+
+  function storeRewritten(url, variant, proxyBase, output) {
+    variant.rewritten.set(proxyBase, output);
+    const record = memory.get(url);
+    if (record && record.variants.includes(variant)) remember(record);
+  }
+
+  return {
+    lookup,
+    store,
+    refresh,
+    invalidate,
+    getRewritten,
+    storeRewritten,
+    recordHit() { stats.hits++; },
+    recordMiss() { stats.misses++; },
+    stats() {
+      return { ...stats, entries: memory.size, bytes: memoryBytes };
+    }
+  };
+}
+
+module.exports = {
+  createCache,
+  currentAge,
+  hasValidators,
+  isCacheableRequest,
+  isFresh,
+  isStorableResponse,
+  matchesClientValidators,
+  parseCacheControl,
+  requestNeedsRevalidation,
+  upstreamHeaders
+};
@@ -0,0 +1,103 @@
+const iconv = require('iconv-lite');
+const { logger } = require('./logger');
+
+// Detect charset from Content-Type header
+function detectCharsetFromContentType(contentType) {
+  if (!contentType) return null;
+
+  const charsetMatch = contentType.match(/charset=([^;]+)/i);
+  if (charsetMatch) {
+    return charsetMatch[1].trim().replace(/['"]/g, '');
+  }
+  return null;
+}
+
+// Detect charset from HTML content
+function detectCharsetFromHTML(buffer) {
+  // Try to read the first 1024 bytes as ASCII to look for meta tags
+  const htmlStart = buffer.slice(0, 1024).toString('ascii');
+
+  // Look for <meta charset="...">
+  const charsetMatch = htmlStart.match(/<meta[^>]+charset=["']?([^"'\s>]+)/i);
+  if (charsetMatch) {
+    return charsetMatch[1].trim();
+  }
+
+  // Look for <meta http-equiv="Content-Type" content="...">
+  const httpEquivMatch = htmlStart.match(/<meta[^>]+http-equiv=["']?Content-Type["']?[^>]+content=["']?[^"'>]*charset=([^"'\s;>]+)/i);
+  if (httpEquivMatch) {
+    return httpEquivMatch[1].trim();
+  }
+
+  return null;
+}
+
+// Detect charset from an XML document's byte order mark or encoding declaration
+function detectCharsetFromXML(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+
+  const declaration = buffer.slice(0, 200).toString('ascii').match(/^<\?xml[^>]*?\bencoding\s*=\s*["']([^"']+)["']/);
+  return declaration ? declaration[1].trim() : null;
+}
+
+// Convert buffer to string using detected charset. log - the request's logger (see lib/logger.js)
+function decodeBuffer(buffer, contentType, log = logger) {
+  // Try Content-Type header first
+  let charset = detectCharsetFromContentType(contentType);
+  let source = 'header';
+
+  // If it's HTML and no charset in header, check HTML meta tags
+  if (!charset && contentType && contentType.includes('text/html')) {
+    charset = detectCharsetFromHTML(buffer);
+    source = 'meta';
+  }
+
+  // XML documents declare their encoding in the prolog
+  if (!charset && contentType && contentType.includes('xml')) {
+    charset = detectCharsetFromXML(buffer);
+    source = 'declaration';
+  }
+
+  // Default to UTF-8
+  if (!charset) {
+    charset = 'utf-8';
+    source = 'default';
+  }
+
+  // Normalize charset name
+  const originalCharset = charset;
+  charset = charset.toLowerCase().replace(/[_]/g, '-');
+
+  // Handle common aliases
+  const charsetAliases = {
+    'iso-8859-1': 'latin1',
+    'iso8859-1': 'latin1',
+    'windows-1252': 'cp1252',
+    'utf8': 'utf-8'
+  };
+
+  charset = charsetAliases[charset] || charset;
+
+  try {
+    // Check if iconv-lite supports this encoding
+    if (iconv.encodingExists(charset)) {
+      log.debug('Decoded body', { charset, declared: originalCharset, source, contentType, bytes: buffer.length });
+      return iconv.decode(buffer, charset);
+    } else {
+      log.warn('Unsupported charset, falling back to UTF-8', { charset: originalCharset, contentType });
+      return buffer.toString('utf-8');
+    }
+  } catch (e) {
+    log.error('Could not decode body, falling back to UTF-8', { charset, error: e.message });
+    return buffer.toString('utf-8');
+  }
+}
+
+module.exports = {
+  detectCharsetFromContentType,
+  detectCharsetFromHTML,
+  detectCharsetFromXML,
+  decodeBuffer
+};
@@ -0,0 +1,548 @@
+// Client runtime for proxied pages - runs in the browser, not in Node.
+//
+// Served at {proxyBase}/__proxy/runtime.js (see lib/runtime.js) and loaded by the first
+// <script> in every rewritten page:
+//   <script src=".../__proxy/runtime.js?v=..." data-proxy-base="{proxyBase}" data-target-url="{page URL}">
+// With origin isolation it also gets data-isolated-base, the proxy base with '*' for the
+// subdomain label (see lib/isolation.js).
+// Classic workers load it with importScripts after setting self.__PROXY_CONFIG__.
+//
+// Keeps requests made from script inside the proxy - fetch, XMLHttpRequest, WebSocket,
+// EventSource, sendBeacon, Worker/SharedWorker, importScripts, window.open, history, URL
+// properties and setAttribute on elements, dynamically inserted markup, form submits - and
+// reports original URLs back through document.URL, document.domain, document.referrer,
+// document.cookie and window.__proxyLocation. window.location itself can't be redefined, so
+// navigations through it fall back to the referer-based catch-all route.
+(function(global) {
+  'use strict';
+
+  if (global.__proxyRuntime) return;
+
+  const isWindow = typeof document !== 'undefined';
+
+  function readConfig() {
+    if (global.__PROXY_CONFIG__) return global.__PROXY_CONFIG__;
+    const script = isWindow && document.currentScript;
+    if (!script || !script.dataset.proxyBase) return null;
+    return {
+      proxyBase: script.dataset.proxyBase,
+      targetUrl: script.dataset.targetUrl,
+      isolatedBase: script.dataset.isolatedBase,
+      runtimeUrl: script.src,
+      serviceWorker: script.dataset.serviceWorker
+    };
+  }
+
+  const config = readConfig();
+  if (!config) return;
+
+  const proxyBase = config.proxyBase.replace(/\/$/, '');
+  const proxyUrl = new URL(proxyBase + '/proxy/', global.location.href);
+  const proxyHost = proxyUrl.host;
+  const proxyRoot = proxyUrl.pathname;
+  const isolatedBase = config.isolatedBase ? config.isolatedBase.replace(/\/$/, '') : null;
+  // '.p.example.test:8080' - what every isolated proxy host ends with
+  const isolatedSuffix = isolatedBase ? isolatedBase.match(/^[a-z]+:\/\/\*([^/]*)/i)[1].toLowerCase() : null;
+
+  const SKIPPED_SCHEMES = /^(data|blob|javascript|about|mailto|tel):/i;
+  const PROXIED_PATH = /^(https?|wss?)\/([^/?#]+)(\/[^?#]*)?/;
+
+  function isProxyHost(host) {
+    if (host === proxyHost) return true;
+    if (!isolatedSuffix || host.slice(-isolatedSuffix.length) !== isolatedSuffix) return false;
+    return /^[a-z0-9-]+$/.test(host.slice(0, -isolatedSuffix.length));
+  }
+
+  // Base that serves URLs on hostname - with isolation, its own subdomain, labelled as
+  // labelForHost in lib/isolation.js does. Names the server would hash stay on this origin.
+  function proxyBaseFor(hostname) {
+    if (!isolatedBase) return proxyBase;
+    const label = hostname.toLowerCase().replace(/-/g, '--').replace(/\./g, '-');
+    if (!/^[a-z0-9][a-z0-9-]{0,62}$/.test(label) || label.charAt(label.length - 1) === '-' || /^h0--[0-9a-f]{40}$/.test(label)) {
+      return proxyBase;
+    }
+    return isolatedBase.replace('*', label);
+  }
+
+  // Original URL for a proxied one, or null when the value isn't a proxy URL
+  function fromProxyURL(value) {
+    let parsed;
+    try {
+      parsed = new URL(String(value), global.location.href);
+    } catch (e) {
+      return null;
+    }
+    if (!isProxyHost(parsed.host) || parsed.pathname.indexOf(proxyRoot) !== 0) return null;
+
+    const match = parsed.pathname.slice(proxyRoot.length).match(PROXIED_PATH);
+    if (!match) return null;
+    return match[1] + '://' + match[2] + (match[3] || '/') + parsed.search + parsed.hash;
+  }
+
+  function originalLocation() {
+    return new URL(fromProxyURL(global.location.href) || config.targetUrl);
+  }
+
+  // What relative URLs in the page resolve against - <base href> is proxied by the server
+  function documentBase() {
+    if (isWindow) {
+      const fromBase = fromProxyURL(document.baseURI);
+      if (fromBase) return fromBase;
+    }
+    return originalLocation().href;
+  }
+
+  // Absolute original URL for a value as the page meant it, or null for values that stay as they are
+  function resolveOriginal(value, base) {
+    const raw = String(value).trim();
+    if (!raw || raw.charAt(0) === '#' || SKIPPED_SCHEMES.test(raw)) return null;
+
+    let absolute;
+    try {
+      absolute = new URL(raw, base || documentBase());
+    } catch (e) {
+      return null;
+    }
+
+    // Already resolved against the proxy's own origin, e.g. an element's .src read back
+    if (isProxyHost(absolute.host) && (absolute.protocol === 'http:' || absolute.protocol === 'https:')) {
+      if (absolute.pathname.indexOf(proxyRoot) === 0) return null;
+      absolute = new URL(absolute.pathname + absolute.search + absolute.hash, base || documentBase());
+    }
+    return /^(https?|wss?):$/.test(absolute.protocol) ? absolute : null;
+  }
+
+  function toProxyURL(value, base) {
+    if (value === null || value === undefined) return value;
+    const absolute = resolveOriginal(value, base);
+    if (!absolute) return value;
+
+    const protocol = absolute.protocol.slice(0, -1);
+    const targetBase = proxyBaseFor(absolute.hostname);
+    const prefix = protocol.indexOf('ws') === 0 ? targetBase.replace(/^http/, 'ws') : targetBase;
+    return prefix + '/proxy/' + protocol + '/' + absolute.host + absolute.pathname + absolute.search + absolute.hash;
+  }
+
+  function rewriteSrcset(value) {
+    return String(value).split(/,\s+/).map(function(candidate) {
+      const parts = candidate.trim().split(/\s+/);
+      parts[0] = toProxyURL(parts[0]);
+      return parts.join(' ');
+    }).join(', ');
+  }
+
+  // Wrap a constructor so its first argument is proxied, keeping prototype and constants
+  function wrapConstructor(name, mapUrl) {
+    const Original = global[name];
+    if (typeof Original !== 'function') return;
+
+    const Wrapped = function(url) {
+      const args = Array.prototype.slice.call(arguments);
+      args[0] = mapUrl(url, args[1]);
+      return new (Function.prototype.bind.apply(Original, [null].concat(args)))();
+    };
+    Wrapped.prototype = Original.prototype;
+    Object.keys(Original).forEach(function(key) {
+      Wrapped[key] = Original[key];
+    });
+    ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function(key) {
+      if (key in Original) Wrapped[key] = Original[key];
+    });
+    global[name] = Wrapped;
+  }
+
+  // --- Network APIs -------------------------------------------------------
+
+  const originalFetch = global.fetch;
+  if (originalFetch) {
+    global.fetch = function(resource, options) {
+      // Ensure credentials are included for social media APIs
+      const modifiedOptions = options || {};
+      if (!modifiedOptions.credentials) {
+        modifiedOptions.credentials = 'include';
+      }
+
+      if (typeof Request !== 'undefined' && resource instanceof Request) {
+        return originalFetch.call(global, new Request(toProxyURL(resource.url), resource), modifiedOptions);
+      }
+      return originalFetch.call(global, toProxyURL(resource), modifiedOptions);
+    };
+  }
+
+  if (global.XMLHttpRequest) {
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function(method, url) {
+      const args = Array.prototype.slice.call(arguments);
+      args[1] = toProxyURL(url);
+      return originalOpen.apply(this, args);
+    };
+
+    // Set withCredentials for all XHR requests
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function() {
+      this.withCredentials = true;
+      return originalSend.apply(this, arguments);
+    };
+  }
+
+  // Relative and http(s) WebSocket URLs map to ws(s) on the target
+  wrapConstructor('WebSocket', function(url) {
+    const absolute = resolveOriginal(url);
+    if (!absolute) return url;
+    if (absolute.protocol === 'http:') absolute.protocol = 'ws:';
+    if (absolute.protocol === 'https:') absolute.protocol = 'wss:';
+    return toProxyURL(absolute.href);
+  });
+
+  wrapConstructor('EventSource', function(url) {
+    return toProxyURL(url);
+  });
+
+  if (global.navigator && navigator.sendBeacon) {
+    const originalSendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = function(url, data) {
+      return originalSendBeacon.call(navigator, toProxyURL(url), data);
+    };
+  }
+
+  // Classic workers get the runtime too: they start from a small bootstrap that loads it first.
+  // Module workers can't importScripts, so only their script URL is proxied.
+  wrapConstructor('Worker', function(url, options) {
+    const absolute = resolveOriginal(url);
+    if (!absolute) return url;
+    if ((options && options.type === 'module') || !config.runtimeUrl || typeof Blob === 'undefined') {
+      return toProxyURL(absolute.href);
+    }
+
+    const bootstrap =
+      'self.__PROXY_CONFIG__ = ' + JSON.stringify({
+        proxyBase: proxyBase,
+        targetUrl: absolute.href,
+        isolatedBase: config.isolatedBase,
+        runtimeUrl: config.runtimeUrl
+      }) + ';\n' +
+      'importScripts(' + JSON.stringify(config.runtimeUrl) + ');\n' +
+      'importScripts(' + JSON.stringify(toProxyURL(absolute.href)) + ');\n';
+    return URL.createObjectURL(new Blob([bootstrap], { type: 'application/javascript' }));
+  });
+
+  wrapConstructor('SharedWorker', function(url) {
+    return toProxyURL(url);
+  });
+
+  if (typeof global.importScripts === 'function') {
+    const originalImportScripts = global.importScripts;
+    global.importScripts = function() {
+      return originalImportScripts.apply(global, Array.prototype.map.call(arguments, function(url) {
+        return toProxyURL(url);
+      }));
+    };
+  }
+
+  // --- Location ------------------------------------------------------------
+
+  // Stand-in for window.location that reports and navigates by original URLs
+  const proxyLocation = {
+    assign: function(url) {
+      global.location.assign(toProxyURL(url));
+    },
+    replace: function(url) {
+      global.location.replace(toProxyURL(url));
+    },
+    reload: function() {
+      global.location.reload();
+    },
+    toString: function() {
+      return originalLocation().href;
+    }
+  };
+  ['href', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash', 'origin'].forEach(function(name) {
+    Object.defineProperty(proxyLocation, name, {
+      enumerable: true,
+      get: function() {
+        return originalLocation()[name];
+      },
+      set: function(value) {
+        if (name === 'origin') return;
+        if (name === 'hash') {
+          global.location.hash = value;
+          return;
+        }
+        if (name === 'href') {
+          global.location.href = toProxyURL(value);
+          return;
+        }
+        const next = originalLocation();
+        next[name] = value;
+        global.location.href = toProxyURL(next.href);
+      }
+    });
+  });
+
+  // import(expr) in rewritten modules (see lib/js.js). Relative specifiers resolve against the
+  // importing module's original URL; bare ones are left for the page's import map.
+  function importURL(specifier, moduleUrl) {
+    const value = String(specifier);
+    if (!/^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i.test(value)) return value;
+    return toProxyURL(value, moduleUrl);
+  }
+
+  global.__proxyLocation = proxyLocation;
+  global.__proxyRuntime = {
+    toProxyURL: toProxyURL,
+    fromProxyURL: fromProxyURL,
+    importURL: importURL,
+    location: proxyLocation
+  };
+
+  if (!isWindow) return;
+
+  // --- Window and document ----------------------------------------------------
+
+  const originalWindowOpen = global.open;
+  global.open = function(url) {
+    const args = Array.prototype.slice.call(arguments);
+    if (url) args[0] = toProxyURL(url);
+    return originalWindowOpen.apply(global, args);
+  };
+
+  ['pushState', 'replaceState'].forEach(function(method) {
+    const original = history[method];
+    history[method] = function(state, title, url) {
+      if (url === undefined || url === null) {
+        return original.call(history, state, title);
+      }
+      return original.call(history, state, title, toProxyURL(url));
+    };
+  });
+
+  function patchGetter(target, name, get, set) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, name);
+    if (!descriptor || !descriptor.configurable) return;
+    Object.defineProperty(target, name, {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get: get,
+      set: set || descriptor.set
+    });
+  }
+
+  patchGetter(Document.prototype, 'URL', function() {
+    return originalLocation().href;
+  });
+  patchGetter(Document.prototype, 'documentURI', function() {
+    return originalLocation().href;
+  });
+  // The real domain is the proxy's; assignments would throw, so they are ignored
+  patchGetter(Document.prototype, 'domain', function() {
+    return originalLocation().hostname;
+  }, function() {});
+  const referrerDescriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'referrer');
+  if (referrerDescriptor) {
+    patchGetter(Document.prototype, 'referrer', function() {
+      const referrer = referrerDescriptor.get.call(this);
+      return fromProxyURL(referrer) || referrer;
+    });
+  }
+
+  // Shim document.cookie to match the server's Set-Cookie namespacing:
+  // cookies are stored as name@host (or name@.domain) under {proxyBase}/proxy/{protocol}/{host}
+  const cookieDescriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+  const secureProxy = proxyBase.indexOf('https:') === 0;
+
+  function cookieScopeMatches(scope, hostname) {
+    if (scope.charAt(0) === '.') {
+      const domain = scope.slice(1);
+      return hostname === domain || hostname.slice(-domain.length - 1) === '.' + domain;
+    }
+    return hostname === scope;
+  }
+
+  if (cookieDescriptor && cookieDescriptor.configurable) {
+    Object.defineProperty(document, 'cookie', {
+      configurable: true,
+      get: function() {
+        const hostname = originalLocation().hostname;
+        return cookieDescriptor.get.call(document).split(';').map(function(part) {
+          const index = part.indexOf('=');
+          if (index === -1) return null;
+          const name = part.slice(0, index).trim();
+          const separator = name.lastIndexOf('@');
+          if (separator <= 0 || !cookieScopeMatches(name.slice(separator + 1), hostname)) return null;
+          return name.slice(0, separator) + '=' + part.slice(index + 1).trim();
+        }).filter(Boolean).join('; ');
+      },
+      set: function(value) {
+        const current = originalLocation();
+        const parts = String(value).split(';');
+        const index = parts[0].indexOf('=');
+        if (index <= 0) return;
+
+        const name = parts[0].slice(0, index).trim();
+        let domain = null;
+        let path = null;
+        const kept = [];
+        parts.slice(1).forEach(function(attribute) {
+          const separator = attribute.indexOf('=');
+          const key = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+          const attributeValue = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+          if (key === 'domain') {
+            domain = attributeValue.replace(/^\./, '').toLowerCase() || null;
+          } else if (key === 'path') {
+            path = attributeValue;
+          } else if (key === 'secure') {
+            if (secureProxy) kept.push('Secure');
+          } else if (key === 'samesite' && !secureProxy && attributeValue.toLowerCase() === 'none') {
+            kept.push('SameSite=Lax');
+          } else if (key) {
+            kept.push(attribute.trim());
+          }
+        });
+
+        if (domain && !cookieScopeMatches('.' + domain, current.hostname)) return;
+        if (!path || path.charAt(0) !== '/') {
+          path = current.pathname.slice(0, current.pathname.lastIndexOf('/')) || '/';
+        }
+
+        const scope = domain ? '.' + domain : current.hostname;
+        const proxyPath = domain ? proxyRoot : proxyRoot + current.protocol.slice(0, -1) + '/' + current.host + path;
+        cookieDescriptor.set.call(document, [
+          name + '@' + scope + '=' + parts[0].slice(index + 1).trim(),
+          'Path=' + proxyPath
+        ].concat(kept).join('; '));
+      }
+    });
+  }
+
+  // --- Elements -------------------------------------------------------------
+
+  // URL-valued attributes per element (lower-case tag names), mirroring the server's table
+  const URL_ATTRIBUTES = {
+    a: ['href'],
+    area: ['href'],
+    audio: ['src'],
+    base: ['href'],
+    button: ['formaction'],
+    embed: ['src'],
+    form: ['action'],
+    frame: ['src'],
+    iframe: ['src'],
+    image: ['href', 'xlink:href'],
+    img: ['src', 'srcset'],
+    input: ['src', 'formaction'],
+    link: ['href', 'imagesrcset'],
+    object: ['data'],
+    script: ['src'],
+    source: ['src', 'srcset'],
+    track: ['src'],
+    use: ['href', 'xlink:href'],
+    video: ['src', 'poster']
+  };
+
+  function rewriteAttributeValue(element, name, value) {
+    const attributes = URL_ATTRIBUTES[element.localName];
+    if (!attributes || attributes.indexOf(name) === -1 || typeof value !== 'string') return value;
+    return name === 'srcset' || name === 'imagesrcset' ? rewriteSrcset(value) : toProxyURL(value);
+  }
+
+  const originalSetAttribute = Element.prototype.setAttribute;
+  Element.prototype.setAttribute = function(name, value) {
+    return originalSetAttribute.call(this, name, rewriteAttributeValue(this, String(name).toLowerCase(), value));
+  };
+
+  const originalSetAttributeNS = Element.prototype.setAttributeNS;
+  Element.prototype.setAttributeNS = function(namespace, name, value) {
+    return originalSetAttributeNS.call(this, namespace, name, rewriteAttributeValue(this, String(name).toLowerCase(), value));
+  };
+
+  // URL properties: setters proxy the value, getters report the original URL
+  const URL_PROPERTIES = {
+    HTMLAnchorElement: ['href'],
+    HTMLAreaElement: ['href'],
+    HTMLBaseElement: ['href'],
+    HTMLButtonElement: ['formAction'],
+    HTMLEmbedElement: ['src'],
+    HTMLFormElement: ['action'],
+    HTMLFrameElement: ['src'],
+    HTMLIFrameElement: ['src'],
+    HTMLImageElement: ['src', 'srcset'],
+    HTMLInputElement: ['src', 'formAction'],
+    HTMLLinkElement: ['href'],
+    HTMLMediaElement: ['src'],
+    HTMLObjectElement: ['data'],
+    HTMLScriptElement: ['src'],
+    HTMLSourceElement: ['src', 'srcset'],
+    HTMLTrackElement: ['src'],
+    HTMLVideoElement: ['poster']
+  };
+
+  Object.keys(URL_PROPERTIES).forEach(function(className) {
+    const constructor = global[className];
+    if (!constructor) return;
+
+    URL_PROPERTIES[className].forEach(function(property) {
+      const descriptor = Object.getOwnPropertyDescriptor(constructor.prototype, property);
+      if (!descriptor || !descriptor.configurable || !descriptor.set) return;
+
+      Object.defineProperty(constructor.prototype, property, {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        get: function() {
+          const value = descriptor.get.call(this);
+          return property === 'srcset' ? value : (fromProxyURL(value) || value);
+        },
+        set: function(value) {
+          descriptor.set.call(this, property === 'srcset' ? rewriteSrcset(value) : toProxyURL(value));
+        }
+      });
+    });
+  });
+
+  // Markup inserted through innerHTML, insertAdjacentHTML and friends
+  function rewriteTree(root) {
+    const elements = [root].concat(Array.prototype.slice.call(root.querySelectorAll('*')));
+    elements.forEach(function(element) {
+      const attributes = URL_ATTRIBUTES[element.localName];
+      if (!attributes) return;
+      attributes.forEach(function(name) {
+        const value = element.getAttribute(name);
+        if (!value) return;
+        const rewritten = rewriteAttributeValue(element, name, value);
+        if (rewritten !== value) {
+          originalSetAttribute.call(element, name, rewritten);
+        }
+      });
+    });
+  }
+
+  const observer = new MutationObserver(function(mutations) {
+    mutations.forEach(function(mutation) {
+      mutation.addedNodes.forEach(function(node) {
+        if (node.nodeType === 1) { // Element node
+          rewriteTree(node);
+        }
+      });
+    });
+  });
+
+  observer.observe(document.documentElement, {
+    childList: true,
+    subtree: true
+  });
+
+  // Service-worker mode: the worker catches whatever the patches above miss
+  if (config.serviceWorker && navigator.serviceWorker && global.isSecureContext) {
+    navigator.serviceWorker.register(config.serviceWorker, { scope: proxyRoot }).catch(function(err) {
+      console.warn('[Proxy] Service worker registration failed:', err);
+    });
+  }
+
+  // Forms without an action submit to the current (original) page
+  document.addEventListener('submit', function(e) {
+    const form = e.target;
+    if (form && form.tagName === 'FORM') {
+      const action = form.getAttribute('action') || originalLocation().href;
+      originalSetAttribute.call(form, 'action', toProxyURL(action));
+    }
+  }, true);
+})(typeof window !== 'undefined' ? window : self);
@@ -0,0 +1,117 @@
+// Service worker for proxied pages - runs in the browser, not in Node.
+//
+// Served at {proxyBase}/__proxy/sw.js and registered by the client runtime with scope
+// {proxyBase}/proxy/ when serviceWorker.enabled is set. Every request made by a controlled page,
+// its workers and its iframes passes through here, so URLs that escaped the HTML/JS rewriting
+// are put into /proxy/{protocol}/{host}/... form before they reach the network:
+//   - cross-origin requests (https://cdn.example/x.js) are proxied as-is
+//   - same-origin requests outside the proxy (/api/x) are resolved against the page's original URL
+// Requests already in proxy form, and the proxy's own /__proxy/ assets, go straight through.
+// With origin isolation the script is registered as sw.js?isolated={proxy base with '*' for the
+// subdomain label} (see lib/isolation.js): every such subdomain counts as the proxy, and foreign
+// URLs are sent to their target's own subdomain, as the client runtime does.
+// Browsers only allow service workers on https:// origins and localhost.
+
+const proxyBase = self.location.href.slice(0, self.location.href.indexOf('/__proxy/sw.js'));
+const proxyOrigin = new URL(proxyBase).origin;
+const proxyRoot = new URL(proxyBase + '/proxy/').pathname;
+const assetRoot = new URL(proxyBase + '/__proxy/').pathname;
+const isolatedMatch = (new URL(self.location.href).searchParams.get('isolated') || '').match(/^([a-z]+:\/\/)\*([^/]*)(.*)$/i);
+// [scheme, '.p.example.test:8080', mount path] of the isolated base
+const isolated = isolatedMatch ? [isolatedMatch[1].toLowerCase(), isolatedMatch[2].toLowerCase(), isolatedMatch[3].replace(/\/$/, '')] : null;
+
+const PROXIED_PATH = /^(https?|wss?)\/([^/?#]+)(\/[^?#]*)?/;
+
+function isProxyOrigin(url) {
+  if (url.origin === proxyOrigin) return true;
+  if (!isolated || url.protocol + '//' !== isolated[0] || url.host.slice(-isolated[1].length) !== isolated[1]) return false;
+  return /^[a-z0-9-]+$/.test(url.host.slice(0, -isolated[1].length));
+}
+
+// Base that serves URLs on hostname - labelled as labelForHost in lib/isolation.js does. Names
+// the server would hash stay on this origin.
+function proxyBaseFor(hostname) {
+  if (!isolated) return proxyBase;
+  const label = hostname.toLowerCase().replace(/-/g, '--').replace(/\./g, '-');
+  if (!/^[a-z0-9][a-z0-9-]{0,62}$/.test(label) || label.charAt(label.length - 1) === '-' || /^h0--[0-9a-f]{40}$/.test(label)) {
+    return proxyBase;
+  }
+  return isolated[0] + label + isolated[1] + isolated[2];
+}
+
+// Original URL for a proxied one, or null when the value isn't a proxy URL
+function fromProxyURL(value) {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (e) {
+    return null;
+  }
+  if (!isProxyOrigin(parsed) || parsed.pathname.indexOf(proxyRoot) !== 0) return null;
+
+  const match = parsed.pathname.slice(proxyRoot.length).match(PROXIED_PATH);
+  if (!match) return null;
+  return match[1] + '://' + match[2] + (match[3] || '/') + parsed.search;
+}
+
+function toProxyURL(target) {
+  const protocol = target.protocol.slice(0, -1);
+  return proxyBaseFor(target.hostname) + '/proxy/' + protocol + '/' + target.host + target.pathname + target.search;
+}
+
+// The original URL of whatever made the request - its referrer, or the controlled page itself
+async function originalPageURL(event) {
+  const fromReferrer = event.request.referrer && fromProxyURL(event.request.referrer);
+  if (fromReferrer) return fromReferrer;
+
+  const client = event.clientId ? await self.clients.get(event.clientId) : null;
+  return client ? fromProxyURL(client.url) : null;
+}
+
+// Proxy-form URL for a request, or null when it should go out unchanged
+async function proxiedRequestURL(event) {
+  const url = new URL(event.request.url);
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  if (!isProxyOrigin(url)) {
+    return toProxyURL(url);
+  }
+
+  if (url.pathname.indexOf(proxyRoot) === 0 || url.pathname.indexOf(assetRoot) === 0) return null;
+  // Another target's subdomain - the server routes its paths by the subdomain label
+  if (url.origin !== proxyOrigin) return null;
+
+  // Root-relative URL that resolved against the proxy's origin instead of the target's
+  const page = await originalPageURL(event);
+  if (!page) return null;
+  return toProxyURL(new URL(url.pathname + url.search, page));
+}
+
+async function handleFetch(event) {
+  const proxied = await proxiedRequestURL(event);
+  if (!proxied) {
+    return fetch(event.request);
+  }
+
+  try {
+    return await fetch(new Request(proxied, event.request));
+  } catch (e) {
+    // Requests that can't be re-targeted (e.g. some navigations) fall back to the catch-all route
+    console.warn('[Proxy SW] Could not proxy', event.request.url, e);
+    return fetch(event.request);
+  }
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  // Take over pages that were opened before the worker was installed
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  event.respondWith(handleFetch(event));
+});
@@ -0,0 +1,142 @@
+// Browser-side cookies are stored as "name@scope" on the proxy origin, where scope is
+// either the exact upstream hostname (host-only) or ".domain" (a Domain= cookie)
+const SCOPE_SEPARATOR = '@';
+
+// Parse a Cookie header into [name, value] pairs, keeping order and duplicates
+function parseCookieHeader(header) {
+  if (!header) return [];
+
+  return header.split(';').map(part => {
+    const index = part.indexOf('=');
+    if (index === -1) return [part.trim(), ''];
+    return [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+  }).filter(([name]) => name);
+}
+
+// RFC 6265 domain matching
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// RFC 6265 default-path: the directory of the request path
+function defaultCookiePath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+// Split "name@scope" back into its parts - null for cookies the proxy didn't namespace
+function splitScopedName(name) {
+  const index = name.lastIndexOf(SCOPE_SEPARATOR);
+  if (index <= 0) return null;
+  return { name: name.slice(0, index), scope: name.slice(index + 1) };
+}
+
+// Cookie Paths the browser would send to pathname with (RFC 6265 path-match): pathname itself
+// and each of its prefixes ending at a '/', with and without the slash
+function matchingCookiePaths(pathname) {
+  const paths = new Set();
+  for (let i = pathname.indexOf('/'); i !== -1; i = pathname.indexOf('/', i + 1)) {
+    if (i > 0) paths.add(pathname.slice(0, i));
+    paths.add(pathname.slice(0, i + 1));
+  }
+  paths.add(pathname);
+  return [...paths];
+}
+
+// Set-Cookie deleting the browser cookie name stored under path
+function expiredCookie(name, path) {
+  return `${name}=; Path=${path}; Max-Age=0`;
+}
+
+function scopeMatches(hostname, scope) {
+  if (scope.startsWith('.')) {
+    return domainMatches(hostname, scope.slice(1));
+  }
+  return hostname === scope;
+}
+
+// Rewrite one upstream Set-Cookie so it lands under /proxy/{protocol}/{host} in the browser.
+// Returns null for cookies the browser would have rejected on the real origin.
+function rewriteSetCookie(setCookie, targetUrl, proxyBase) {
+  const proxyBaseUrl = new URL(proxyBase);
+  const secureProxy = proxyBaseUrl.protocol === 'https:';
+  const proxyRoot = `${proxyBaseUrl.pathname.replace(/\/$/, '')}/proxy/`;
+  const [pair, ...attributes] = setCookie.split(';');
+  const index = pair.indexOf('=');
+  if (index <= 0) return null;
+
+  const name = pair.slice(0, index).trim();
+  const value = pair.slice(index + 1).trim();
+  let domain = null;
+  let path = null;
+  const kept = [];
+
+  attributes.forEach(attribute => {
+    const separator = attribute.indexOf('=');
+    const key = (separator === -1 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+    const attributeValue = separator === -1 ? '' : attribute.slice(separator + 1).trim();
+
+    if (key === 'domain') {
+      domain = attributeValue.replace(/^\./, '').toLowerCase() || null;
+    } else if (key === 'path') {
+      path = attributeValue;
+    } else if (key === 'secure') {
+      // Browsers refuse Secure cookies from an http:// proxy origin
+      if (secureProxy) kept.push('Secure');
+    } else if (key === 'samesite' && !secureProxy && attributeValue.toLowerCase() === 'none') {
+      // SameSite=None requires Secure, so fall back to the browser default
+      kept.push('SameSite=Lax');
+    } else if (key) {
+      kept.push(attribute.trim());
+    }
+  });
+
+  if (domain && !domainMatches(targetUrl.hostname, domain)) {
+    return null;
+  }
+  if (!path || !path.startsWith('/')) {
+    path = defaultCookiePath(targetUrl.pathname);
+  }
+
+  const protocol = targetUrl.protocol.replace(':', '');
+  const scope = domain ? `.${domain}` : targetUrl.hostname;
+  // Domain cookies must reach sibling hosts, so they get the whole /proxy/ tree and
+  // rely on toUpstreamCookieHeader for filtering
+  const proxyPath = domain ? proxyRoot : `${proxyRoot}${protocol}/${targetUrl.host}${path}`;
+
+  return [`${name}${SCOPE_SEPARATOR}${scope}=${value}`, `Path=${proxyPath}`, ...kept].join('; ');
+}
+
+function rewriteSetCookieHeaders(setCookies, targetUrl, proxyBase) {
+  return [].concat(setCookies)
+    .map(setCookie => rewriteSetCookie(setCookie, targetUrl, proxyBase))
+    .filter(Boolean);
+}
+
+// Build the Cookie header for an upstream request from the browser's namespaced cookies.
+// Only cookies scoped to the target host are sent, with their original names. Cookies the
+// session jar already holds are skipped since request adds those itself.
+function toUpstreamCookieHeader(header, targetUrl, jar) {
+  const jarNames = new Set(jar ? jar.getCookies(targetUrl.href).map(cookie => cookie.key) : []);
+
+  const cookies = parseCookieHeader(header).map(([name, value]) => {
+    const scoped = splitScopedName(name);
+    if (!scoped || !scopeMatches(targetUrl.hostname, scoped.scope) || jarNames.has(scoped.name)) {
+      return null;
+    }
+    return `${scoped.name}=${value}`;
+  }).filter(Boolean);
+
+  return cookies.length ? cookies.join('; ') : null;
+}
+
+module.exports = {
+  expiredCookie,
+  matchingCookiePaths,
+  parseCookieHeader,
+  rewriteSetCookie,
+  rewriteSetCookieHeaders,
+  splitScopedName,
+  toUpstreamCookieHeader
+};
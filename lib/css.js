@@ -0,0 +1,249 @@
+// Tokenizer-based CSS URL rewriting.
+//
+// Walks the stylesheet with the tokenization rules of CSS Syntax Level 3 (strings, comments,
+// escapes, url() tokens, functions and at-keywords) and passes every URL-bearing value to a
+// callback:
+//   url(x) / url("x") / src("x")   - including escaped names like u\72l(
+//   @import "x"                    - with or without url(), comments allowed in between
+//   image-set("x" 1x, url(y) 2x)   - and -webkit-image-set()
+// @font-face src lists use url() and are covered by the first rule. Comments are copied
+// untouched, and URLs are re-escaped when written back so the output always tokenizes the same.
+
+const URL_FUNCTIONS = ['url', 'src'];
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+const isWhitespace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\f';
+const isHexDigit = (ch) => /^[0-9a-fA-F]$/.test(ch);
+const isNameStart = (ch) => /^[a-zA-Z_]$/.test(ch) || (ch !== undefined && ch.charCodeAt(0) >= 0x80);
+const isNameChar = (ch) => isNameStart(ch) || /^[0-9-]$/.test(ch);
+
+// A backslash starts an escape unless it is followed by a newline
+const isValidEscape = (css, i) => css[i] === '\\' && css[i + 1] !== undefined && css[i + 1] !== '\n';
+
+function startsIdentifier(css, i) {
+  if (css[i] === '-') {
+    return isNameStart(css[i + 1]) || css[i + 1] === '-' || isValidEscape(css, i + 1);
+  }
+  return isNameStart(css[i]) || isValidEscape(css, i);
+}
+
+// Consume an escape starting at the backslash; returns [decoded character, next index]
+function consumeEscape(css, i) {
+  i++;
+  if (isHexDigit(css[i])) {
+    let hex = '';
+    while (hex.length < 6 && isHexDigit(css[i])) {
+      hex += css[i++];
+    }
+    if (isWhitespace(css[i])) i++;
+    const codePoint = parseInt(hex, 16);
+    const valid = codePoint > 0 && codePoint <= 0x10FFFF && (codePoint < 0xD800 || codePoint > 0xDFFF);
+    return [valid ? String.fromCodePoint(codePoint) : '�', i];
+  }
+  return [css[i] === undefined ? '�' : css[i], i + 1];
+}
+
+// Returns [decoded name, next index]
+function consumeName(css, i) {
+  let name = '';
+  while (i < css.length) {
+    if (isNameChar(css[i])) {
+      name += css[i++];
+    } else if (isValidEscape(css, i)) {
+      const [ch, next] = consumeEscape(css, i);
+      name += ch;
+      i = next;
+    } else {
+      break;
+    }
+  }
+  return [name, i];
+}
+
+// Returns [decoded value, next index, terminated properly]
+function consumeString(css, i) {
+  const quote = css[i++];
+  let value = '';
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === quote) return [value, i + 1, true];
+    if (ch === '\n') return [value, i, false]; // Bad string - leave it alone
+    if (ch === '\\') {
+      if (css[i + 1] === undefined) return [value, i + 1, true];
+      if (css[i + 1] === '\n') {
+        i += 2; // Line continuation
+        continue;
+      }
+      const [decoded, next] = consumeEscape(css, i);
+      value += decoded;
+      i = next;
+      continue;
+    }
+    value += ch;
+    i++;
+  }
+  return [value, i, true];
+}
+
+// Unquoted url( contents up to the closing paren; the index points just past 'url('.
+// Returns [decoded value, next index, valid url token]
+function consumeUnquotedURL(css, i) {
+  while (isWhitespace(css[i])) i++;
+  let value = '';
+  while (i < css.length) {
+    const ch = css[i];
+    if (ch === ')') return [value, i + 1, true];
+    if (isWhitespace(ch)) {
+      while (isWhitespace(css[i])) i++;
+      if (css[i] === ')' || i >= css.length) return [value, i + 1, true];
+      break;
+    }
+    if (ch === '"' || ch === "'" || ch === '(') break;
+    if (ch === '\\') {
+      if (!isValidEscape(css, i)) break;
+      const [decoded, next] = consumeEscape(css, i);
+      value += decoded;
+      i = next;
+      continue;
+    }
+    value += ch;
+    i++;
+  }
+  if (i >= css.length) return [value, i, true];
+
+  // Bad url - skip to the closing paren like a browser would
+  while (i < css.length && css[i] !== ')') {
+    i += css[i] === '\\' && isValidEscape(css, i) ? 2 : 1;
+  }
+  return [value, i + 1, false];
+}
+
+function escapeString(value, quote) {
+  return value.replace(/[\\\n\r\f]/g, ch => `\\${ch.charCodeAt(0).toString(16)} `).split(quote).join(`\\${quote}`);
+}
+
+function escapeUnquotedURL(value) {
+  return value.replace(/[\\"'()\s\x00-\x1f\x7f]/g, ch => `\\${ch.charCodeAt(0).toString(16)} `);
+}
+
+// Rewrite every URL in a stylesheet (or a style attribute's declarations) with rewrite(url).
+// Fragment-only references like url(#clip) point into the current document and are kept.
+function rewriteCSSURLs(css, rewrite) {
+  const rewriteValue = (value) => (value.trim().startsWith('#') ? value : rewrite(value));
+
+  let output = '';
+  let i = 0;
+  // Lower-case names of the open functions / parentheses ('' for plain parens)
+  const stack = [];
+  // Last token that wasn't whitespace or a comment, for @import "x"
+  let previous = null;
+
+  while (i < css.length) {
+    const ch = css[i];
+
+    // Comment - copied verbatim
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      const next = end === -1 ? css.length : end + 2;
+      output += css.slice(i, next);
+      i = next;
+      continue;
+    }
+
+    if (isWhitespace(ch)) {
+      output += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const [value, next, terminated] = consumeString(css, i);
+      const top = stack[stack.length - 1];
+      const isURL = terminated && (
+        previous === '@import' ||
+        (URL_FUNCTIONS.includes(top) && previous === '(') ||
+        IMAGE_SET_FUNCTIONS.includes(top)
+      );
+
+      if (isURL) {
+        const rewritten = rewriteValue(value);
+        output += rewritten === value ? css.slice(i, next) : `${ch}${escapeString(rewritten, ch)}${ch}`;
+      } else {
+        output += css.slice(i, next);
+      }
+      previous = 'string';
+      i = next;
+      continue;
+    }
+
+    if (ch === '@' && startsIdentifier(css, i + 1)) {
+      const [name, next] = consumeName(css, i + 1);
+      output += css.slice(i, next);
+      previous = `@${name.toLowerCase()}`;
+      i = next;
+      continue;
+    }
+
+    if (startsIdentifier(css, i)) {
+      const [name, next] = consumeName(css, i);
+      const lowerName = name.toLowerCase();
+
+      if (css[next] !== '(') {
+        output += css.slice(i, next);
+        previous = 'ident';
+        i = next;
+        continue;
+      }
+
+      // url( followed by an unquoted value is a single url token
+      if (lowerName === 'url') {
+        let peek = next + 1;
+        while (isWhitespace(css[peek])) peek++;
+        if (css[peek] !== '"' && css[peek] !== "'") {
+          const [value, end, valid] = consumeUnquotedURL(css, next + 1);
+          const rewritten = valid ? rewriteValue(value) : value;
+          output += rewritten === value ? css.slice(i, end) : `url(${escapeUnquotedURL(rewritten)})`;
+          previous = 'url';
+          i = end;
+          continue;
+        }
+      }
+
+      output += css.slice(i, next + 1);
+      stack.push(lowerName);
+      previous = '(';
+      i = next + 1;
+      continue;
+    }
+
+    if (ch === '\\' && isValidEscape(css, i)) {
+      const [, next] = consumeEscape(css, i);
+      output += css.slice(i, next);
+      previous = 'delim';
+      i = next;
+      continue;
+    }
+
+    if (ch === '(') {
+      stack.push('');
+      previous = '(';
+    } else if (ch === ')') {
+      stack.pop();
+      previous = ')';
+    } else if (ch === '{' || ch === '}') {
+      // Blocks close any functions left open by broken declarations
+      stack.length = 0;
+      previous = ch;
+    } else {
+      previous = ch;
+    }
+    output += ch;
+    i++;
+  }
+
+  return output;
+}
+
+module.exports = {
+  rewriteCSSURLs
+};
@@ -0,0 +1,386 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+
+// Egress routing: upstream requests go out directly or through a configured upstream proxy,
+// picked per target host.
+//
+// Proxy URLs:
+//   http://[user:pass@]host:port    - plain forward proxy; https targets are tunnelled with CONNECT
+//   https://[user:pass@]host:port   - the same over TLS to the proxy
+//   socks5://[user:pass@]host:port  - SOCKS5, target names resolved here
+//   socks5h://[user:pass@]host:port - SOCKS5, target names resolved by the proxy
+//
+// Rules are checked in order and the first whose hosts match picks the route; egress.default
+// applies otherwise. A route lists proxy names (or 'direct') in order of preference, and the
+// first one whose last health check passed is used. Redirects followed upstream stay on the
+// route of the first request. WebSocket tunnels take the same routes, through CONNECT or SOCKS5.
+//
+// The SSRF guard checks every target before an upstream proxy sees it: socks5:// connects to the
+// address the guard resolved, the other schemes resolve the name here too but hand the proxy the
+// name. Plain requests through HTTP(S) proxies are sent by request() itself, so the proxy routes
+// check those (route.checkTargets). Proxies listed in egress.unguarded skip the check, for names
+// only they can resolve - keep private ranges blocked on those proxies themselves.
+
+// Route name for connecting without an upstream proxy
+const DIRECT = 'direct';
+
+// Error code for targets whose route has no healthy upstream proxy left - mapped to a 502
+const EGRESS_UNAVAILABLE = 'EEGRESSUNAVAILABLE';
+
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443, 'socks5:': 1080, 'socks5h:': 1080 };
+
+const SOCKS_REPLIES = {
+  1: 'general SOCKS server failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// Host patterns: '*' (any host), 'example.com' (exactly), '*.example.com' (subdomains only),
+// '.example.com' (the domain and its subdomains)
+function hostMatches(hostname, pattern) {
+  pattern = pattern.toLowerCase();
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) return hostname.endsWith(pattern.slice(1));
+  if (pattern.startsWith('.')) return hostname === pattern.slice(1) || hostname.endsWith(pattern);
+  return hostname === pattern;
+}
+
+function proxyPort(url) {
+  return Number(url.port) || DEFAULT_PORTS[url.protocol];
+}
+
+function socksError(message, code = 'ESOCKS') {
+  const err = new Error(`SOCKS proxy: ${message}`);
+  err.code = code;
+  return err;
+}
+
+function connectError(message, code = 'EPROXYCONNECT') {
+  const err = new Error(`HTTP proxy: ${message}`);
+  err.code = code;
+  return err;
+}
+
+// SOCKS5 CONNECT request (RFC 1928) for host:port
+function connectRequest(host, port) {
+  let address;
+  if (net.isIPv4(host)) {
+    address = Buffer.from([1, ...host.split('.').map(Number)]);
+  } else if (net.isIPv6(host)) {
+    address = Buffer.concat([Buffer.from([4]), ipv6Bytes(host)]);
+  } else {
+    const name = Buffer.from(host);
+    address = Buffer.concat([Buffer.from([3, name.length]), name]);
+  }
+  const portBytes = Buffer.alloc(2);
+  portBytes.writeUInt16BE(port);
+  return Buffer.concat([Buffer.from([5, 1, 0]), address, portBytes]);
+}
+
+function ipv6Bytes(address) {
+  // Trailing dotted IPv4 (::ffff:10.0.0.1) is two more 16-bit words
+  address = address.replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) =>
+    `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+  const [head, tail = ''] = address.split('::');
+  const headWords = head ? head.split(':') : [];
+  const tailWords = tail ? tail.split(':') : [];
+  const words = [...headWords, ...Array(8 - headWords.length - tailWords.length).fill('0'), ...tailWords];
+  const bytes = Buffer.alloc(16);
+  words.forEach((word, i) => bytes.writeUInt16BE(parseInt(word, 16), i * 2));
+  return bytes;
+}
+
+// Open a connection to host:port through a SOCKS5 proxy, with username/password
+// authentication (RFC 1929) when the proxy URL has credentials. callback(err, socket)
+function socksConnect(proxy, host, port, timeout, callback) {
+  const socket = net.connect(proxyPort(proxy), proxy.hostname);
+  const username = decodeURIComponent(proxy.username);
+  const password = decodeURIComponent(proxy.password);
+  let buffered = Buffer.alloc(0);
+  // [bytes needed or a function of the buffer returning them, handler]
+  let expecting = null;
+  let done = false;
+
+  const finish = (err) => {
+    if (done) return;
+    done = true;
+    socket.setTimeout(0);
+    socket.removeListener('data', onData);
+    if (err) {
+      socket.destroy();
+      return callback(err);
+    }
+    callback(null, socket);
+  };
+
+  const expect = (length, handler) => {
+    expecting = [length, handler];
+    onData(Buffer.alloc(0));
+  };
+
+  function onData(chunk) {
+    buffered = Buffer.concat([buffered, chunk]);
+    if (!expecting) return;
+    const [length, handler] = expecting;
+    const needed = typeof length === 'function' ? length(buffered) : length;
+    if (needed === null || buffered.length < needed) return;
+    const message = buffered.subarray(0, needed);
+    buffered = buffered.subarray(needed);
+    expecting = null;
+    handler(message);
+  }
+
+  socket.setTimeout(timeout, () => finish(socksError(`no answer within ${timeout}ms`, 'ETIMEDOUT')));
+  socket.on('error', finish);
+  socket.on('close', () => finish(socksError('connection closed during handshake')));
+  socket.on('data', onData);
+
+  const sendConnect = () => {
+    socket.write(connectRequest(host, port));
+    // VER REP RSV ATYP BND.ADDR BND.PORT - the address length depends on its type
+    const replyLength = (reply) => {
+      if (reply.length < 5) return null;
+      if (reply[3] === 1) return 10;
+      if (reply[3] === 4) return 22;
+      return 7 + reply[4];
+    };
+    expect(replyLength, (reply) => {
+      if (reply[1] !== 0) {
+        return finish(socksError(`can't reach ${host}:${port} - ${SOCKS_REPLIES[reply[1]] || `reply ${reply[1]}`}`));
+      }
+      // Anything after the reply already belongs to the tunnelled connection
+      if (buffered.length) socket.unshift(buffered);
+      finish(null);
+    });
+  };
+
+  socket.once('connect', () => {
+    const methods = username ? [0, 2] : [0];
+    socket.write(Buffer.from([5, methods.length, ...methods]));
+    expect(2, (choice) => {
+      if (choice[0] !== 5) return finish(socksError('not a SOCKS5 server'));
+      if (choice[1] === 0) return sendConnect();
+      if (choice[1] !== 2 || !username) return finish(socksError('no acceptable authentication method'));
+
+      const user = Buffer.from(username);
+      const pass = Buffer.from(password);
+      socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+      expect(2, (status) => {
+        if (status[1] !== 0) return finish(socksError('authentication failed'));
+        sendConnect();
+      });
+    });
+  });
+}
+
+// Open a tunnel to host:port through an HTTP(S) proxy with CONNECT, sending Basic credentials
+// when the proxy URL has them. callback(err, socket)
+function httpConnect(proxy, host, port, timeout, callback) {
+  const authority = `${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+  const headers = { Host: authority };
+  if (proxy.username) {
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const req = (proxy.protocol === 'https:' ? https : http).request({
+    host: proxy.hostname,
+    port: proxyPort(proxy),
+    method: 'CONNECT',
+    path: authority,
+    headers,
+    timeout,
+    agent: false
+  });
+  let done = false;
+  const finish = (err, socket) => {
+    if (done) return;
+    done = true;
+    callback(err, socket);
+  };
+
+  req.once('connect', (res, socket, head) => {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      return finish(connectError(`can't reach ${authority} - ${res.statusCode} ${res.statusMessage}`));
+    }
+    socket.setTimeout(0);
+    if (head.length) socket.unshift(head);
+    finish(null, socket);
+  });
+  req.once('timeout', () => req.destroy(connectError(`no answer within ${timeout}ms`, 'ETIMEDOUT')));
+  req.once('error', finish);
+  req.end();
+}
+
+// connect(options, callback) opening a connection to options.host:options.port through proxy.
+// Unless the proxy is unguarded, the guard resolves and checks the target first.
+function createConnector(proxy, { guard, timeout }, guarded) {
+  const open = proxy.protocol.startsWith('socks') ? socksConnect : httpConnect;
+  // socks5:// gets the address resolved here, the rest the name
+  const sendAddress = proxy.protocol === 'socks5:';
+
+  return (options, callback) => {
+    const host = (options.hostname || options.host).replace(/^\[|\]$/g, '');
+    const port = Number(options.port);
+    if (!guarded && !sendAddress) {
+      return open(proxy, host, port, timeout, callback);
+    }
+    (guarded ? guard.lookup : dns.lookup)(host, {}, (err, address) => {
+      if (err) return callback(err);
+      open(proxy, sendAddress ? address : host, port, timeout, callback);
+    });
+  };
+}
+
+// http: and https: Agent classes whose connections go through connect
+function createTunnelAgents(connect) {
+  class TunnelAgent extends http.Agent {
+    createConnection(options, callback) {
+      connect(options, callback);
+    }
+  }
+
+  class TunnelTLSAgent extends https.Agent {
+    createConnection(options, callback) {
+      connect(options, (err, socket) => {
+        if (err) return callback(err);
+        callback(null, tls.connect({ ...options, socket }));
+      });
+    }
+  }
+
+  return { 'http:': TunnelAgent, 'https:': TunnelTLSAgent };
+}
+
+// Build the egress router for one proxy instance.
+// options - the egress config section; transport - { guard, timeout } for tunnelled connections
+function createEgress(options, transport, log) {
+  const egressLog = log.child({ component: 'egress' });
+
+  const proxies = new Map(options.proxies.map(entry => {
+    const url = new URL(entry.url);
+    const socks = url.protocol.startsWith('socks');
+    const guarded = !options.unguarded.includes(entry.name);
+    const agents = createTunnelAgents(createConnector(url, transport, guarded));
+    return [entry.name, {
+      name: entry.name,
+      url,
+      up: true, // Until a health check says otherwise
+      checkedAt: null,
+      error: null,
+      agents,
+      // request() options for this proxy. SOCKS agents are passed as httpModules rather than an
+      // agent because request drops its agent when a redirect switches between http and https,
+      // and get their own pool so they are never handed to direct requests.
+      requestOptions: socks
+        ? {
+          httpModules: {
+            'http:': { request: http.request, Agent: agents['http:'] },
+            'https:': { request: https.request, Agent: agents['https:'] }
+          },
+          pool: {}
+        }
+        : { proxy: url.href },
+      // request() hands HTTP(S) proxies target names the guard hasn't seen
+      checkTargets: !socks && guarded
+    }];
+  }));
+
+  // Names of the proxies (or 'direct') to try for hostname, in order
+  function candidatesFor(hostname) {
+    hostname = hostname.toLowerCase();
+    const rule = options.rules.find(candidate => candidate.hosts.some(pattern => hostMatches(hostname, pattern)));
+    return rule ? rule.via : options.default;
+  }
+
+  // Route for url: { via, requestOptions, checkTargets } - via is the proxy name or 'direct',
+  // requestOptions are the request() options that send it there, and checkTargets is set when
+  // the caller has to run the guard on target names itself. Throws EGRESS_UNAVAILABLE when every
+  // upstream proxy the route lists is down.
+  function route(url) {
+    const candidates = candidatesFor(new URL(url).hostname);
+    const via = candidates.find(name => name === DIRECT || proxies.get(name).up);
+    if (!via) {
+      const err = new Error(`No upstream proxy available for ${new URL(url).host} (tried ${candidates.join(', ')})`);
+      err.code = EGRESS_UNAVAILABLE;
+      throw err;
+    }
+    if (via === DIRECT) {
+      return { via, requestOptions: {}, checkTargets: false };
+    }
+    const proxy = proxies.get(via);
+    return { via, requestOptions: proxy.requestOptions, checkTargets: proxy.checkTargets };
+  }
+
+  // Agent opening a connection to a protocol ('http:' or 'https:') target through the route's
+  // proxy - CONNECT or SOCKS5 - for callers using http.request directly. null for 'direct'.
+  function createAgent(via, protocol) {
+    return via === DIRECT ? null : new (proxies.get(via).agents[protocol])();
+  }
+
+  // Health check: can we open a TCP connection to the proxy within healthCheck.timeout?
+  function check(proxy) {
+    const socket = net.connect(proxyPort(proxy.url), proxy.url.hostname);
+    const report = (err) => {
+      socket.destroy();
+      const wasUp = proxy.up;
+      proxy.up = !err;
+      proxy.checkedAt = new Date();
+      proxy.error = err ? err.message : null;
+      if (wasUp && err) {
+        egressLog.warn('Upstream proxy is down', { proxy: proxy.name, error: err.message });
+      } else if (!wasUp && !err) {
+        egressLog.info('Upstream proxy is back up', { proxy: proxy.name });
+      }
+    };
+    socket.setTimeout(options.healthCheck.timeout, () => report(new Error(`no connection within ${options.healthCheck.timeout}ms`)));
+    socket.once('connect', () => report(null));
+    socket.once('error', report);
+  }
+
+  const checkAll = () => proxies.forEach(check);
+  let timer = null;
+  if (options.healthCheck.interval && proxies.size) {
+    checkAll();
+    timer = setInterval(checkAll, options.healthCheck.interval);
+    timer.unref();
+  }
+
+  function status() {
+    return [...proxies.values()].map(proxy => ({
+      name: proxy.name,
+      protocol: proxy.url.protocol.slice(0, -1),
+      host: proxy.url.host,
+      up: proxy.up,
+      checkedAt: proxy.checkedAt,
+      error: proxy.error
+    }));
+  }
+
+  function close() {
+    clearInterval(timer);
+  }
+
+  return {
+    close,
+    createAgent,
+    route,
+    status
+  };
+}
+
+module.exports = {
+  DIRECT,
+  EGRESS_UNAVAILABLE,
+  createEgress,
+  hostMatches
+};
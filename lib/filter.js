@@ -0,0 +1,479 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Content filtering with hosts files and Adblock Plus style lists.
+//
+// Each list file is loaded under a category ('ads', 'malware', ...) that block pages, logs and
+// metrics report. Lines are read as:
+//   0.0.0.0 ads.example.com       - hosts file entry: the host and its subdomains are blocked
+//   ads.example.com               - plain domain, the same
+//   ||ads.example.com^            - Adblock Plus network rule; |, ||, *, ^ and /regex/ patterns
+//   ||cdn.example.com/ads/*$script,third-party,domain=a.com|~b.com
+//   @@||cdn.example.com/ads/ok.js - exception, applies across all lists
+//   ##.ad-banner                  - element hiding everywhere
+//   example.com,~m.example.com##.sidebar-ad - element hiding on some sites
+//   example.com#@#.ad-banner      - element hiding exception
+// Rules with options we don't know (popup, csp, redirect, ...) and extended cosmetic syntax
+// (#?#, #$#, ##+js) are skipped rather than risk blocking too much.
+//
+// Network rules without a type option also block top-level navigations, like uBlock Origin does.
+// Third-party checks compare the last two labels of each host - there is no public suffix list.
+
+// Request types, named as in Adblock Plus options
+const TYPES = ['document', 'subdocument', 'script', 'stylesheet', 'image', 'font', 'media', 'object', 'xmlhttprequest', 'ping', 'websocket', 'other'];
+
+// Options that only tune how a rule applies and can be ignored
+const IGNORED_OPTIONS = ['important', 'match-case', 'collapse'];
+
+// Hosts file names that never mean a blocked site
+const LOCAL_HOSTS = ['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback', '0.0.0.0'];
+
+// Sec-Fetch-Dest -> request type
+const DESTINATION_TYPES = {
+  document: 'document',
+  iframe: 'subdocument',
+  frame: 'subdocument',
+  script: 'script',
+  worker: 'script',
+  sharedworker: 'script',
+  serviceworker: 'script',
+  style: 'stylesheet',
+  image: 'image',
+  font: 'font',
+  audio: 'media',
+  video: 'media',
+  track: 'media',
+  object: 'object',
+  embed: 'object',
+  report: 'ping',
+  websocket: 'websocket',
+  empty: 'xmlhttprequest'
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+const DEFAULT_BLOCK_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Blocked - {{brand}}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f5f7; color: #1f2328; margin: 0; }
+    main { max-width: 36rem; margin: 12vh auto; background: #fff; padding: 2rem 2.5rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, .12); }
+    h1 { font-size: 1.4rem; margin-top: 0; }
+    code { word-break: break-all; background: #f4f5f7; padding: .1rem .3rem; border-radius: 4px; }
+    footer { color: #656d76; font-size: .85rem; margin-top: 2rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>This page is blocked</h1>
+    <p><code>{{url}}</code> is on the <strong>{{category}}</strong> list of {{brand}}.</p>
+    <p>If you need it for your work, ask whoever runs this proxy to review the rule <code>{{rule}}</code>.</p>
+    <footer>{{brand}}</footer>
+  </main>
+</body>
+</html>
+`;
+
+// Last two labels - an approximation of the registrable domain
+function siteOf(hostname) {
+  return hostname.split('.').slice(-2).join('.');
+}
+
+// The host and each parent domain: a.b.example.com, b.example.com, example.com, com
+function hostSuffixes(hostname) {
+  const labels = hostname.split('.');
+  return labels.map((label, i) => labels.slice(i).join('.'));
+}
+
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// Adblock Plus pattern -> RegExp
+function patternToRegExp(pattern, matchCase) {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    return new RegExp(pattern.slice(1, -1), matchCase ? '' : 'i');
+  }
+
+  let source = '';
+  let rest = pattern;
+  if (rest.startsWith('||')) {
+    source = '^[a-z][a-z0-9+.-]*://(?:[^/?#]*\\.)?';
+    rest = rest.slice(2);
+  } else if (rest.startsWith('|')) {
+    source = '^';
+    rest = rest.slice(1);
+  }
+  const anchoredEnd = rest.endsWith('|');
+  if (anchoredEnd) rest = rest.slice(0, -1);
+
+  source += rest.replace(/[.+?${}()[\]\\|]/g, '\\$&')
+    .replace(/\*+/g, '.*')
+    .replace(/\^/g, '(?:[^\\w.%-]|$)');
+  if (anchoredEnd) source += '$';
+  return new RegExp(source, matchCase ? '' : 'i');
+}
+
+// Parse the $options of a network rule; null when the rule can't be honoured
+function parseOptions(text) {
+  const options = { types: null, excludedTypes: [], thirdParty: null, domains: [], excludedDomains: [], matchCase: false };
+
+  for (const option of text.split(',').filter(Boolean)) {
+    const [rawName, value] = option.split('=');
+    const negated = rawName.startsWith('~');
+    const name = (negated ? rawName.slice(1) : rawName).toLowerCase();
+    const type = name === 'xhr' ? 'xmlhttprequest' : name;
+
+    if (TYPES.includes(type)) {
+      if (negated) {
+        options.excludedTypes.push(type);
+      } else {
+        options.types = (options.types || []).concat(type);
+      }
+    } else if (name === 'third-party' || name === '3p') {
+      options.thirdParty = !negated;
+    } else if (name === 'first-party' || name === '1p') {
+      options.thirdParty = negated;
+    } else if (name === 'domain' && value) {
+      value.toLowerCase().split('|').forEach(domain => {
+        if (domain.startsWith('~')) {
+          options.excludedDomains.push(domain.slice(1));
+        } else {
+          options.domains.push(domain);
+        }
+      });
+    } else if (name === 'match-case') {
+      options.matchCase = true;
+    } else if (!IGNORED_OPTIONS.includes(name)) {
+      return null;
+    }
+  }
+  return options;
+}
+
+// Compile one network rule line; null for lines we skip
+function parseNetworkRule(line, category) {
+  let text = line;
+  const exception = text.startsWith('@@');
+  if (exception) text = text.slice(2);
+
+  let options = parseOptions('');
+  const dollar = text.lastIndexOf('$');
+  if (dollar !== -1 && /^[\w~,=|.*-]+$/.test(text.slice(dollar + 1)) && !/^\/.*\/$/.test(text)) {
+    options = parseOptions(text.slice(dollar + 1));
+    if (!options) return null;
+    text = text.slice(0, dollar);
+  }
+  if (!text || text === '*') {
+    // A bare $option rule, e.g. $websocket,domain=example.com
+    if (!options.domains.length) return null;
+    text = '*';
+  }
+
+  let regExp;
+  try {
+    regExp = patternToRegExp(text, options.matchCase);
+  } catch (e) {
+    return null;
+  }
+
+  // ||domain... rules are indexed by their domain
+  const anchored = text.match(/^\|\|([a-z0-9.-]+)(?=[\^/:*|]|$)/i);
+  return {
+    text: line,
+    category,
+    exception,
+    domain: anchored ? anchored[1].toLowerCase() : null,
+    regExp,
+    options
+  };
+}
+
+function ruleApplies(rule, request) {
+  const { options } = rule;
+  if (options.types && !options.types.includes(request.type)) return false;
+  if (options.excludedTypes.includes(request.type)) return false;
+  if (options.thirdParty !== null && options.thirdParty !== request.thirdParty) return false;
+  if (options.domains.length && !options.domains.some(domain => domainMatches(request.pageHost, domain))) return false;
+  if (options.excludedDomains.some(domain => domainMatches(request.pageHost, domain))) return false;
+  return rule.regExp.test(request.url);
+}
+
+function isDefaultOptions(options) {
+  return !options.types && !options.excludedTypes.length && options.thirdParty === null &&
+    !options.domains.length && !options.excludedDomains.length;
+}
+
+// The leading #id or .class of a selector - generic hiding rules are only sent to pages that use it
+function selectorToken(selector) {
+  const match = selector.match(/^[a-z]*([#.][\w-]+)/i);
+  return match ? match[1] : null;
+}
+
+// Compile a list file's text into its rules
+function parseList(text, category) {
+  const list = {
+    category,
+    hosts: new Map(),             // blocked host -> rule text
+    rulesByDomain: new Map(),     // domain -> network rules anchored to it
+    genericRules: [],             // other network rules
+    exceptions: [],               // @@ rules
+    hiding: new Map(),            // domain -> [{ selector, excluded }] hidden there
+    genericHiding: new Map(),     // '#id' / '.class' token -> [{ selector, excluded }]
+    unkeyedHiding: [],            // generic selectors without a token - [{ selector, excluded }]
+    hidingExceptions: new Map(),  // domain ('' for all) -> selectors
+    size: 0
+  };
+
+  // In Adblock Plus lists a bare "ads.js" is a URL pattern, elsewhere "ads.example.com" is a host
+  const firstLine = text.trimStart().split('\n', 1)[0];
+  const adblockSyntax = firstLine.startsWith('[Adblock') || firstLine.startsWith('!');
+
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || line.startsWith('!') || line.startsWith('[')) return;
+
+    // Hosts file entries and plain domains
+    const hostsEntry = line.match(/^(?:\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:]*)\s+([^#]+)/i);
+    if (hostsEntry) {
+      hostsEntry[1].trim().split(/\s+/).forEach(host => {
+        host = host.toLowerCase();
+        if (!LOCAL_HOSTS.includes(host)) {
+          list.hosts.set(host, line);
+          list.size++;
+        }
+      });
+      return;
+    }
+    if (!adblockSyntax && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(line)) {
+      list.hosts.set(line.toLowerCase(), line);
+      list.size++;
+      return;
+    }
+
+    // Element hiding - extended syntax (#?#, #$#, #@$#, ...) is not supported
+    if (/#@?[?$%]#/.test(line)) return;
+    const cosmetic = line.match(/^([^/|@"!#]*?)#(@?)#(.+)$/);
+    if (cosmetic) {
+      const [, domainList, exception, selector] = cosmetic;
+      // Scriptlets, and hosts file banners like "#### Ads ####"
+      if (/^\+js|^#[^\w-]|^\s/.test(selector)) return;
+      // Selectors end up inside a <style> element
+      if (/[<{}]/.test(selector)) return;
+      const domains = domainList ? domainList.toLowerCase().split(',').map(domain => domain.trim()).filter(Boolean) : [];
+      const included = domains.filter(domain => !domain.startsWith('~'));
+      const excluded = domains.filter(domain => domain.startsWith('~')).map(domain => domain.slice(1));
+
+      if (exception) {
+        (included.length ? included : ['']).forEach(domain => {
+          if (!list.hidingExceptions.has(domain)) list.hidingExceptions.set(domain, new Set());
+          list.hidingExceptions.get(domain).add(selector);
+        });
+      } else if (included.length) {
+        included.forEach(domain => {
+          if (!list.hiding.has(domain)) list.hiding.set(domain, []);
+          list.hiding.get(domain).push({ selector, excluded });
+        });
+      } else {
+        const entry = { selector, excluded };
+        const token = selectorToken(selector);
+        if (!token) {
+          list.unkeyedHiding.push(entry);
+        } else {
+          if (!list.genericHiding.has(token)) list.genericHiding.set(token, []);
+          list.genericHiding.get(token).push(entry);
+        }
+      }
+      list.size++;
+      return;
+    }
+    if (line.startsWith('#')) return; // Hosts file comment
+
+    const rule = parseNetworkRule(line, category);
+    if (!rule) return;
+    list.size++;
+    if (rule.exception) {
+      list.exceptions.push(rule);
+    } else if (rule.domain && isDefaultOptions(rule.options) && /^\|\|[a-z0-9.-]+\^?\|?$/i.test(line)) {
+      list.hosts.set(rule.domain, line);
+    } else if (rule.domain) {
+      if (!list.rulesByDomain.has(rule.domain)) list.rulesByDomain.set(rule.domain, []);
+      list.rulesByDomain.get(rule.domain).push(rule);
+    } else {
+      list.genericRules.push(rule);
+    }
+  });
+
+  return list;
+}
+
+// Request type from the browser's Sec-Fetch-Dest, or its Accept header for older browsers
+function requestType(req) {
+  const dest = req.headers['sec-fetch-dest'];
+  if (dest) return DESTINATION_TYPES[dest] || 'other';
+  if (req.headers.upgrade) return 'websocket';
+  const accept = req.headers.accept || '';
+  if (req.method === 'GET' && accept.includes('text/html')) return 'document';
+  if (accept.startsWith('image/')) return 'image';
+  if (accept.startsWith('text/css')) return 'stylesheet';
+  return 'other';
+}
+
+// The proxied page a subresource was requested by, from its Referer - null when unknown
+function pageFromReferer(referer) {
+  if (!referer) return null;
+  try {
+    const refererUrl = new URL(referer);
+    const pathMatch = refererUrl.pathname.match(/\/proxy\/(https?)\/([\w.-]+(?::\d+)?)(\/.*)?$/);
+    if (pathMatch) return new URL(`${pathMatch[1]}://${pathMatch[2]}${pathMatch[3] || '/'}`);
+    const urlParam = refererUrl.searchParams.get('url');
+    return urlParam ? new URL(urlParam) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Category of a list file given without one: its name without the extension
+function defaultCategory(file) {
+  return path.basename(file).replace(/\.[^.]*$/, '');
+}
+
+// Build the content filter for one proxy instance.
+// options - the filter config section (lists, categories, cosmetic, blockPage, brand, reloadInterval)
+function createFilter(options, log = logger) {
+  const filterLog = log.child({ component: 'filter' });
+  const entries = options.lists.map(entry => ({ path: entry.path, category: entry.category || defaultCategory(entry.path) }));
+  const enforced = options.categories.length ? entries.filter(entry => options.categories.includes(entry.category)) : entries;
+
+  // path -> compiled list
+  const lists = new Map();
+  const watchers = [];
+
+  function load(entry, text) {
+    const list = parseList(text, entry.category);
+    lists.set(entry.path, list);
+    filterLog.info('Loaded filter list', { file: entry.path, category: entry.category, rules: list.size });
+  }
+
+  // Read synchronously at startup so the first request is already filtered
+  enforced.forEach(entry => {
+    try {
+      load(entry, fs.readFileSync(entry.path, 'utf8'));
+    } catch (e) {
+      throw new Error(`Could not read filter list ${entry.path}: ${e.message}`);
+    }
+  });
+
+  let blockTemplate = DEFAULT_BLOCK_PAGE;
+  if (options.blockPage) {
+    try {
+      blockTemplate = fs.readFileSync(options.blockPage, 'utf8');
+    } catch (e) {
+      throw new Error(`Could not read block page ${options.blockPage}: ${e.message}`);
+    }
+  }
+
+  // Hot reload: poll each list's mtime. A list that fails to load keeps its previous rules.
+  if (options.reloadInterval) {
+    enforced.forEach(entry => {
+      const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+        fs.readFile(entry.path, 'utf8', (err, text) => {
+          if (err) {
+            return filterLog.error('Could not reload filter list, keeping the old rules', { file: entry.path, error: err.message });
+          }
+          load(entry, text);
+        });
+      };
+      fs.watchFile(entry.path, { interval: options.reloadInterval, persistent: false }, listener);
+      watchers.push([entry.path, listener]);
+    });
+  }
+
+  function findRule(rules, request) {
+    return rules ? rules.find(rule => ruleApplies(rule, request)) : undefined;
+  }
+
+  // Why url is blocked: { category, rule, type } - or null when it may load.
+  // req - the browser's request, for its type and the page that asked for url
+  function check(url, req) {
+    const target = new URL(url);
+    const type = requestType(req);
+    const page = type === 'document' ? target : pageFromReferer(req.headers.referer);
+    const request = {
+      url: target.href,
+      type,
+      pageHost: page ? page.hostname : '',
+      thirdParty: page ? siteOf(page.hostname) !== siteOf(target.hostname) : false
+    };
+    const suffixes = hostSuffixes(target.hostname.toLowerCase());
+
+    for (const list of lists.values()) {
+      if (findRule(list.exceptions, request)) return null;
+    }
+    for (const list of lists.values()) {
+      const host = suffixes.find(suffix => list.hosts.has(suffix));
+      if (host) return { category: list.category, rule: list.hosts.get(host), type };
+
+      const rule = suffixes.reduce((found, suffix) => found || findRule(list.rulesByDomain.get(suffix), request), undefined) ||
+        findRule(list.genericRules, request);
+      if (rule) return { category: list.category, rule: rule.text, type };
+    }
+    return null;
+  }
+
+  // Selectors to hide on pageUrl. tokens - the '#id' and '.class' tokens the page uses
+  function hiddenSelectors(pageUrl, tokens) {
+    if (!options.cosmetic) return [];
+    const hostname = new URL(pageUrl).hostname.toLowerCase();
+    const suffixes = hostSuffixes(hostname);
+    const selectors = new Set();
+    const exceptions = new Set();
+    const add = entry => {
+      if (!entry.excluded.some(domain => domainMatches(hostname, domain))) selectors.add(entry.selector);
+    };
+
+    lists.forEach(list => {
+      suffixes.forEach(suffix => (list.hiding.get(suffix) || []).forEach(add));
+      list.unkeyedHiding.forEach(add);
+      tokens.forEach(token => (list.genericHiding.get(token) || []).forEach(add));
+      ['', ...suffixes].forEach(domain => (list.hidingExceptions.get(domain) || []).forEach(selector => exceptions.add(selector)));
+    });
+    return [...selectors].filter(selector => !exceptions.has(selector));
+  }
+
+  function blockPage(url, blocked) {
+    const values = { url, category: blocked.category, rule: blocked.rule, brand: options.brand };
+    return blockTemplate.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? escapeHTML(values[name]) : match));
+  }
+
+  function stats() {
+    return [...lists.entries()].map(([file, list]) => ({ file, category: list.category, rules: list.size }));
+  }
+
+  function close() {
+    watchers.forEach(([file, listener]) => fs.unwatchFile(file, listener));
+  }
+
+  return {
+    blockPage,
+    check,
+    close,
+    hiddenSelectors,
+    stats
+  };
+}
+
+module.exports = {
+  createFilter,
+  parseList,
+  requestType
+};
@@ -0,0 +1,360 @@
+const fs = require('fs');
+const http = require('http');
+const { Duplex } = require('stream');
+const { logger } = require('./logger');
+const { version } = require('../package.json');
+
+// HAR capture and replay of proxied sessions (har.mode, see lib/config.js).
+//
+// record - every proxied exchange is appended to har.file as a HAR 1.2 entry. The entry itself
+//          describes the upstream exchange: the request as sent upstream and the response as
+//          received (bodies decompressed), so any HAR viewer shows what the site served. Cache
+//          hits are recorded from the stored response. What the browser got back - status,
+//          headers and the rewritten body - is kept next to it in the entry's _proxy field:
+//            _proxy: { requestId, route, url, finalUrl, cache, error, response: { status, headers, content } }
+//          Entries are written as they complete and the file is finished by close(); a file cut
+//          short by a crash can still be replayed. Recordings hold cookies and credentials sent
+//          upstream - treat them like any other secret.
+// replay - upstream requests are answered from har.file instead of the network, so recorded
+//          pages go through the normal cache and rewriting path without network access.
+//          Entries match on method and URL; repeated requests get the recorded responses in
+//          order, the last one repeating. Requests that weren't recorded fail like an
+//          unreachable upstream (502), with HAR_MISS as the error code.
+
+const HAR_MISS = 'EHARMISS';
+
+// Bodies that are valid UTF-8 are stored as text, anything else as base64, so replay gets the exact bytes
+function encodeBody(body, mimeType) {
+  const content = { size: body.length, mimeType };
+  const text = body.toString('utf8');
+  if (Buffer.byteLength(text) === body.length && !text.includes('\uFFFD')) {
+    content.text = text;
+  } else {
+    content.text = body.toString('base64');
+    content.encoding = 'base64';
+  }
+  return content;
+}
+
+function decodeBody(content) {
+  if (!content || typeof content.text !== 'string') return Buffer.alloc(0);
+  return Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// [{ name, value }] from a headers object; arrays (Set-Cookie) become one entry per value
+function headerList(headers) {
+  const list = [];
+  Object.keys(headers).forEach(name => {
+    [].concat(headers[name]).forEach(value => list.push({ name, value: String(value) }));
+  });
+  return list;
+}
+
+// Node's rawHeaders keep the upstream's names, order and repeats
+function rawHeaderList(rawHeaders) {
+  const list = [];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    list.push({ name: rawHeaders[i], value: rawHeaders[i + 1] });
+  }
+  return list;
+}
+
+// The headers object request would have produced: lowercase names, Set-Cookie as an array
+function headerObject(list) {
+  const headers = {};
+  list.forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    if (key === 'set-cookie') {
+      headers[key] = (headers[key] || []).concat(value);
+    } else {
+      headers[key] = headers[key] === undefined ? value : `${headers[key]}, ${value}`;
+    }
+  });
+  return headers;
+}
+
+function headerValue(list, name) {
+  const header = list.find(item => item.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+// Request or response bytes, kept until they pass the limit (0 - no limit)
+function createBodyCollector(limit) {
+  let chunks = [];
+  let size = 0;
+  return {
+    add(chunk) {
+      size += chunk.length;
+      if (!chunks) return;
+      if (limit && size > limit) {
+        chunks = null;
+      } else {
+        chunks.push(chunk);
+      }
+    },
+    content(mimeType) {
+      if (!chunks) {
+        return { size, mimeType, comment: `Body not recorded: larger than har.maxBodyBytes (${limit})` };
+      }
+      return encodeBody(Buffer.concat(chunks), mimeType);
+    }
+  };
+}
+
+// Copy what is written to res into collector, alongside the real writes
+function tapResponse(res, collector) {
+  const write = res.write;
+  const end = res.end;
+  const add = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      collector.add(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+    }
+  };
+  res.write = function(chunk, encoding, callback) {
+    add(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function(chunk, encoding, callback) {
+    add(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+}
+
+// options - the har config section
+function createHarRecorder(options, log = logger) {
+  const stream = fs.createWriteStream(options.file);
+  stream.on('error', (e) => log.error('Could not write the HAR file', { file: options.file, error: e.message }));
+
+  const creator = { name: 'proxy-server', version };
+  stream.write(`{"log":{"version":"1.2","creator":${JSON.stringify(creator)},"pages":[],"entries":[\n`);
+  let written = 0;
+  let closed = false;
+
+  function append(entry) {
+    if (closed) return;
+    stream.write(`${written ? ',\n' : ''}${JSON.stringify(entry)}`);
+    written++;
+  }
+
+  // Start recording one proxied exchange. context - the plugin hook context (see lib/plugins.js),
+  // upstreamOptions - the request options sent upstream. The entry is written once the browser's
+  // response is finished. Returns the recording's inputs:
+  //   requestData(chunk), response(response), responseData(chunk), cached(variant, outcome), failed(err)
+  function capture(context, upstreamOptions) {
+    const { req, res } = context;
+    const started = new Date();
+    const url = String(upstreamOptions.url);
+    // What the browser asked the proxy for - from req.url, which auth has already stripped of
+    // the proxy's key, unlike req.originalUrl
+    const proxyUrl = `${req.baseUrl}${req.url}`;
+    const requestBody = createBodyCollector(options.maxBodyBytes);
+    let hasRequestBody = false;
+    const responseBody = createBodyCollector(options.maxBodyBytes);
+    const browserBody = createBodyCollector(options.maxBodyBytes);
+    let upstream = null;
+    let error = null;
+    let cache = null;
+    let responseAt = null;
+
+    tapResponse(res, browserBody);
+
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      const ended = Date.now();
+      const wait = responseAt ? responseAt - started.getTime() : ended - started.getTime();
+      const parsedUrl = new URL(url);
+      // Read now - cache revalidation adds its validators after the exchange starts
+      const requestHeaders = headerList(upstreamOptions.headers || {});
+      const responseHeaders = upstream ? upstream.headers : [];
+      const mimeType = headerValue(responseHeaders, 'content-type');
+
+      const entry = {
+        startedDateTime: started.toISOString(),
+        time: ended - started.getTime(),
+        request: {
+          method: upstreamOptions.method || 'GET',
+          url,
+          httpVersion: 'HTTP/1.1',
+          cookies: [],
+          headers: requestHeaders,
+          queryString: [...parsedUrl.searchParams].map(([name, value]) => ({ name, value })),
+          headersSize: -1,
+          bodySize: -1
+        },
+        response: {
+          status: upstream ? upstream.status : 0,
+          statusText: upstream ? upstream.statusText : '',
+          httpVersion: upstream ? upstream.httpVersion : '',
+          cookies: [],
+          headers: responseHeaders,
+          content: upstream ? responseBody.content(mimeType) : { size: 0, mimeType: '' },
+          redirectURL: headerValue(responseHeaders, 'location'),
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait, receive: ended - started.getTime() - wait },
+        _proxy: {
+          requestId: req.id,
+          route: context.route,
+          url: proxyUrl,
+          finalUrl: upstream && upstream.url !== url ? upstream.url : undefined,
+          cache: cache || undefined,
+          error: error ? { message: error.message, code: error.code } : undefined,
+          response: {
+            status: res.statusCode,
+            headers: headerList(res.getHeaders()),
+            content: browserBody.content(String(res.getHeader('content-type') || ''))
+          }
+        }
+      };
+      if (hasRequestBody) {
+        const content = requestBody.content(headerValue(requestHeaders, 'content-type'));
+        entry.request.bodySize = content.size;
+        entry.request.postData = { mimeType: content.mimeType, text: content.text || '' };
+        if (content.encoding) entry.request.postData._encoding = content.encoding;
+        if (content.comment) entry.request.postData.comment = content.comment;
+      }
+      append(entry);
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    return {
+      requestData(chunk) {
+        hasRequestBody = true;
+        requestBody.add(chunk);
+      },
+      response(response) {
+        responseAt = Date.now();
+        upstream = {
+          status: response.statusCode,
+          statusText: response.statusMessage || http.STATUS_CODES[response.statusCode] || '',
+          httpVersion: `HTTP/${response.httpVersion || '1.1'}`,
+          headers: response.rawHeaders ? rawHeaderList(response.rawHeaders) : headerList(response.headers),
+          url: response.request.uri.href
+        };
+      },
+      responseData(chunk) {
+        responseBody.add(chunk);
+      },
+      // Served from the cache - record the stored response
+      cached(variant, outcome) {
+        responseAt = responseAt || Date.now();
+        cache = outcome;
+        upstream = {
+          status: variant.status,
+          statusText: http.STATUS_CODES[variant.status] || '',
+          httpVersion: 'HTTP/1.1',
+          headers: headerList(variant.headers),
+          url
+        };
+        responseBody.add(variant.body);
+      },
+      failed(err) {
+        error = err;
+      }
+    };
+  }
+
+  // Finish the file; resolves once it is flushed
+  function close() {
+    if (closed) return Promise.resolve();
+    closed = true;
+    return new Promise(resolve => stream.end('\n]}}\n', resolve));
+  }
+
+  return { capture, close };
+}
+
+// Parse a HAR file, including one whose recording was cut short before close() finished it
+function readHar(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    try {
+      return JSON.parse(`${text.replace(/[\s,]*$/, '')}\n]}}`);
+    } catch (repairError) {
+      throw e;
+    }
+  }
+}
+
+// options - the har config section. Throws when har.file can't be read.
+function createHarReplay(options, log = logger) {
+  let har;
+  try {
+    har = readHar(options.file);
+  } catch (e) {
+    throw new Error(`Could not read HAR file ${options.file}: ${e.message}`);
+  }
+  const entries = (har && har.log && Array.isArray(har.log.entries)) ? har.log.entries : [];
+
+  // 'METHOD url' -> { entries, next }
+  const recorded = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.request.method} ${entry.request.url}`;
+    if (!recorded.has(key)) recorded.set(key, { entries: [], next: 0 });
+    recorded.get(key).entries.push(entry);
+  });
+  log.info('Replaying HAR file', { file: options.file, entries: entries.length });
+
+  function take(method, url) {
+    const slot = recorded.get(`${method} ${url}`);
+    if (!slot) return null;
+    const entry = slot.entries[Math.min(slot.next, slot.entries.length - 1)];
+    slot.next++;
+    return entry;
+  }
+
+  // Stand-in for request(options): emits 'response' and the recorded body, or an error.
+  // Request bodies written to it are discarded.
+  function request(upstreamOptions) {
+    const url = String(upstreamOptions.url);
+    const entry = take(upstreamOptions.method || 'GET', url);
+    const upstream = new Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        callback();
+      }
+    });
+    upstream.abort = () => upstream.destroy();
+
+    process.nextTick(() => {
+      if (upstream.destroyed) return;
+      if (!entry) {
+        const err = new Error(`Not in the recorded HAR: ${upstreamOptions.method || 'GET'} ${url}`);
+        err.code = HAR_MISS;
+        return upstream.emit('error', err);
+      }
+      // Recorded failures fail again the same way
+      if (!entry.response.status) {
+        const recorded = (entry._proxy && entry._proxy.error) || {};
+        const err = new Error(recorded.message || 'No response was recorded');
+        err.code = recorded.code || HAR_MISS;
+        return upstream.emit('error', err);
+      }
+      upstream.emit('response', {
+        statusCode: entry.response.status,
+        statusMessage: entry.response.statusText,
+        httpVersion: String(entry.response.httpVersion || '').replace(/^HTTP\//, '') || '1.1',
+        headers: headerObject(entry.response.headers || []),
+        request: { uri: { href: (entry._proxy && entry._proxy.finalUrl) || url } }
+      });
+      upstream.push(decodeBody(entry.response.content));
+      upstream.push(null);
+    });
+    return upstream;
+  }
+
+  return { request, size: entries.length };
+}
+
+module.exports = {
+  HAR_MISS,
+  createHarRecorder,
+  createHarReplay
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Origin isolation: with isolation.enabled every target host gets its own subdomain of
+// isolation.domain (example.com -> example-com.p.ourproxy.test), so localStorage, IndexedDB,
+// service workers and proxy sessions - and with them the upstream cookie jars - of different
+// sites never share an origin. The rewriters and the client runtime point every URL at its
+// target's subdomain (see proxyBaseFor); the URLs keep their /proxy/{protocol}/{host} path, so
+// any subdomain can serve any of them, like third-party requests on the real web. The router
+// reads the label of the subdomain a request came in on to keep pages on their own origin and
+// to route paths outside /proxy/ to the label's host.
+//
+// Needs a wildcard DNS record (*.p.ourproxy.test) pointing at the proxy. Locally, use
+// isolation.domain 'p.localhost' - browsers resolve *.localhost to loopback - or send a Host
+// header: curl -H 'Host: example-com.p.localhost:3000' http://127.0.0.1:3000/proxy/https/example.com/
+// All subdomains are still one site as far as browsers are concerned, so SameSite doesn't separate them.
+
+// Labels of names that don't fit a DNS label: a prefix no hostname encodes to, then a hash
+const HASHED_LABEL = /^h0--[0-9a-f]{40}$/;
+
+// Subdomain label for a target hostname: '-' is doubled and '.' becomes '-'. Names that don't
+// fit in a DNS label (too long, IPv6 literals) get a hash instead.
+function labelForHost(hostname) {
+  const label = hostname.toLowerCase().replace(/-/g, '--').replace(/\./g, '-');
+  if (/^[a-z0-9][a-z0-9-]{0,62}$/.test(label) && !label.endsWith('-') && !HASHED_LABEL.test(label)) {
+    return label;
+  }
+  return `h0--${crypto.createHash('sha256').update(hostname.toLowerCase()).digest('hex').slice(0, 40)}`;
+}
+
+// Target hostname a label stands for, or null when it is a hash or not one labelForHost makes
+function hostForLabel(label) {
+  if (HASHED_LABEL.test(label)) return null;
+  const hostname = label.replace(/--/g, '\0').replace(/-/g, '.').replace(/\0/g, '-');
+  return labelForHost(hostname) === label ? hostname : null;
+}
+
+// Isolated proxy bases have '*' in place of the subdomain label (see getProxyBase in
+// lib/proxy-server.js). Returns the base on targetUrl's own subdomain for those, and any other
+// base as it is.
+function proxyBaseFor(proxyBase, targetUrl) {
+  const match = proxyBase.match(/^[a-z]+:\/\/\*\./i);
+  if (!match) return proxyBase;
+  const label = labelForHost(new URL(targetUrl).hostname);
+  return `${match[0].slice(0, -2)}${label}${proxyBase.slice(match[0].length - 1)}`;
+}
+
+// options - the isolation config section (see lib/config.js)
+function createIsolation(options) {
+  const suffix = `.${options.domain.toLowerCase().replace(/^\.|\.$/g, '')}`;
+
+  const splitPort = (host) => {
+    const match = String(host).toLowerCase().match(/^(.*?)(:\d+)?$/);
+    return [match[1], match[2] || ''];
+  };
+
+  // Label of the subdomain a Host header names, or null for the bare domain and other hosts
+  function labelOf(host) {
+    const [hostname] = splitPort(host);
+    if (!hostname.endsWith(suffix)) return null;
+    const label = hostname.slice(0, -suffix.length);
+    return /^[a-z0-9-]+$/.test(label) ? label : null;
+  }
+
+  // Proxy host with '*' for the label, keeping the port the proxy was reached on
+  function wildcardHost(currentHost) {
+    return `*${suffix}${splitPort(currentHost)[1]}`;
+  }
+
+  // Proxy host (with the port the proxy was reached on) that serves targetUrl
+  function hostFor(targetUrl, currentHost) {
+    return wildcardHost(currentHost).replace('*', labelForHost(new URL(targetUrl).hostname));
+  }
+
+  return {
+    domain: suffix.slice(1),
+    labelOf,
+    wildcardHost,
+    hostFor
+  };
+}
+
+module.exports = {
+  createIsolation,
+  hostForLabel,
+  labelForHost,
+  proxyBaseFor
+};
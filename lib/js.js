@@ -0,0 +1,254 @@
+// Parser-based JavaScript rewriting.
+//
+// Scripts are parsed with acorn - as a classic script first, then as a module - and edited in
+// place with magic-string, so code that isn't rewritten keeps its exact text (strings and
+// comments that merely look like URLs are never touched) and the edits come with a source map:
+//   import x from '/a.js', export * from '/b.js', import('/c.js')  - specifiers proxied
+//   import(expr)                                - proxied at run time by the client runtime
+//   importScripts('a.js'), fetch('https://...') - literal URLs proxied
+//   import.meta.url                             - the module's original URL, so new URL(x, import.meta.url)
+//                                                 resolves like it would on the real site
+//   location, window/self/globalThis/document.location - the runtime's __proxyLocation
+//   document.domain                             - the original hostname; assignments are dropped
+// Bare specifiers ('react') are left for import maps. The bare location identifier is only
+// rewritten when the script doesn't declare a binding of that name anywhere. Assignments with
+// any operator go through the shim's href; location++, for (location in o) and destructuring
+// targets are left alone, as the shims can't be assigned to.
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const MagicString = require('magic-string');
+
+// Falls back to the real location where the runtime isn't loaded (module workers)
+const LOCATION_SHIM = '(globalThis.__proxyLocation || globalThis.location)';
+const DOMAIN_SHIM = '(globalThis.__proxyLocation ? globalThis.__proxyLocation.hostname : document.domain)';
+const IMPORT_URL_SHIM = '(globalThis.__proxyRuntime ? globalThis.__proxyRuntime.importURL : String)';
+
+// Objects whose .location is the page's Location
+const LOCATION_OWNERS = ['window', 'self', 'globalThis', 'document'];
+
+const SOURCE_MAPPING_URL = /^[#@]\s*sourceMappingURL=(\S+)\s*$/;
+
+// Relative and absolute specifiers - everything except bare module names
+function isURLSpecifier(value) {
+  return /^(\.{0,2}\/|[a-z][a-z0-9+.-]*:)/i.test(value);
+}
+
+// The string value of a literal or a template without substitutions, else null
+function staticString(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+function isIdentifier(node, name) {
+  return node.type === 'Identifier' && node.name === name;
+}
+
+// obj.name, not obj[name]
+function isStaticMember(node, objectName, propertyName) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    isIdentifier(node.property, propertyName) &&
+    (objectName === null || isIdentifier(node.object, objectName));
+}
+
+function isLocationMember(node) {
+  return isStaticMember(node, null, 'location') &&
+    LOCATION_OWNERS.some(owner => isIdentifier(node.object, owner));
+}
+
+// node is written to by an update, a for-in/of head or a destructuring pattern - forms where
+// the shims aren't valid targets, so those are left as they are
+function isBareWriteTarget(node, ancestors) {
+  const parent = ancestors[ancestors.length - 2];
+  if (!parent) return false;
+  switch (parent.type) {
+    case 'UpdateExpression':
+    case 'ArrayPattern':
+    case 'RestElement':
+      return true;
+    case 'ForInStatement':
+    case 'ForOfStatement':
+    case 'AssignmentPattern':
+      return parent.left === node;
+    case 'Property': {
+      const grandparent = ancestors[ancestors.length - 3];
+      return parent.value === node && Boolean(grandparent) && grandparent.type === 'ObjectPattern';
+    }
+    default:
+      return false;
+  }
+}
+
+function isImportMetaURL(node) {
+  return isStaticMember(node, null, 'url') && node.object.type === 'MetaProperty' && node.object.meta.name === 'import';
+}
+
+function parse(source, comments) {
+  const options = { ecmaVersion: 'latest', allowHashBang: true, onComment: comments };
+  try {
+    return acorn.parse(source, { ...options, sourceType: 'script' });
+  } catch (scriptError) {
+    comments.length = 0;
+    try {
+      return acorn.parse(source, { ...options, sourceType: 'module' });
+    } catch (moduleError) {
+      // Report whichever error got further into the file
+      throw moduleError.pos > scriptError.pos ? moduleError : scriptError;
+    }
+  }
+}
+
+// Names bound by a declaration, parameter or import anywhere in the program
+function declaredNames(ast) {
+  const names = new Set();
+  const addPattern = (pattern) => {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        names.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        pattern.properties.forEach(property => addPattern(property.type === 'RestElement' ? property : property.value));
+        break;
+      case 'ArrayPattern':
+        pattern.elements.forEach(addPattern);
+        break;
+      case 'RestElement':
+        addPattern(pattern.argument);
+        break;
+      case 'AssignmentPattern':
+        addPattern(pattern.left);
+        break;
+      default:
+        break;
+    }
+  };
+
+  walk.simple(ast, {
+    VariableDeclarator: node => addPattern(node.id),
+    Function: node => {
+      addPattern(node.id);
+      node.params.forEach(addPattern);
+    },
+    Class: node => addPattern(node.id),
+    CatchClause: node => addPattern(node.param),
+    ImportSpecifier: node => addPattern(node.local),
+    ImportDefaultSpecifier: node => addPattern(node.local),
+    ImportNamespaceSpecifier: node => addPattern(node.local)
+  });
+  return names;
+}
+
+// Rewrite a script or module loaded from scriptUrl. rewrite(url) returns the proxied form of a
+// URL, resolved against scriptUrl. Throws the parser's SyntaxError when the source doesn't parse.
+// Returns { code, changed, map, upstreamMapUrl }: map is the edit map (rewritten code -> source)
+// of a changed script, built only when options.map asks for it, and upstreamMapUrl is where the
+// script's own source map lives, if anywhere. A changed script loses its sourceMappingURL
+// comment - the caller points it at the new map.
+function rewriteJavaScript(source, scriptUrl, rewrite, options = {}) {
+  const comments = [];
+  const ast = parse(source, comments);
+  const output = new MagicString(source);
+  const shadowsLocation = declaredNames(ast).has('location');
+
+  const replaceString = (node) => {
+    const value = staticString(node);
+    if (value === null) return;
+    const rewritten = rewrite(value);
+    if (rewritten !== value) {
+      output.overwrite(node.start, node.end, JSON.stringify(rewritten));
+    }
+  };
+
+  const replaceSpecifier = (node) => {
+    if (!node) return;
+    const value = staticString(node);
+    if (value !== null && isURLSpecifier(value)) replaceString(node);
+  };
+
+  walk.ancestor(ast, {
+    ImportDeclaration: node => replaceSpecifier(node.source),
+    ExportAllDeclaration: node => replaceSpecifier(node.source),
+    ExportNamedDeclaration: node => replaceSpecifier(node.source),
+
+    ImportExpression(node) {
+      if (staticString(node.source) !== null) {
+        replaceSpecifier(node.source);
+        return;
+      }
+      output.prependRight(node.source.start, `${IMPORT_URL_SHIM}(`);
+      output.appendLeft(node.source.end, `, ${JSON.stringify(scriptUrl)})`);
+    },
+
+    CallExpression(node) {
+      const callee = node.callee;
+      if (isIdentifier(callee, 'importScripts') || isStaticMember(callee, 'self', 'importScripts')) {
+        node.arguments.forEach(replaceString);
+      } else if (isIdentifier(callee, 'fetch') && node.arguments.length > 0) {
+        // Relative fetches resolve against the page, not the script - the runtime handles those
+        const value = staticString(node.arguments[0]);
+        if (value !== null && /^(https?:)?\/\//i.test(value)) replaceString(node.arguments[0]);
+      }
+    },
+
+    MemberExpression(node, ancestors) {
+      if (isImportMetaURL(node)) {
+        output.overwrite(node.start, node.end, JSON.stringify(scriptUrl));
+      } else if (isBareWriteTarget(node, ancestors)) {
+        return;
+      } else if (isLocationMember(node)) {
+        output.overwrite(node.start, node.end, LOCATION_SHIM);
+      } else if (isStaticMember(node, 'document', 'domain')) {
+        output.overwrite(node.start, node.end, DOMAIN_SHIM);
+      }
+    },
+
+    // Reads of the global location; writes are handled by AssignmentExpression
+    Identifier(node, ancestors) {
+      if (node.name !== 'location' || shadowsLocation || isBareWriteTarget(node, ancestors)) return;
+      const parent = ancestors[ancestors.length - 2];
+      if (parent && parent.type === 'Property' && parent.shorthand) {
+        output.overwrite(parent.start, parent.end, `location: ${LOCATION_SHIM}`);
+        return;
+      }
+      output.overwrite(node.start, node.end, LOCATION_SHIM);
+    },
+
+    // Every operator - location += '#x' reads and writes href like location = url does
+    AssignmentExpression(node) {
+      const left = node.left;
+      if ((isIdentifier(left, 'location') && !shadowsLocation) || isLocationMember(left)) {
+        // location = url navigates
+        output.overwrite(left.start, left.end, `${LOCATION_SHIM}.href`);
+      } else if (isStaticMember(left, 'document', 'domain')) {
+        // Relaxing document.domain would throw on the proxy's origin - keep only the value
+        output.overwrite(left.start, node.right.start, '(');
+        output.appendLeft(node.end, ')');
+      }
+    }
+  });
+
+  let upstreamMapUrl = null;
+  const mapComment = comments.filter(comment => SOURCE_MAPPING_URL.test(comment.value)).pop();
+  if (mapComment) {
+    try {
+      upstreamMapUrl = new URL(mapComment.value.match(SOURCE_MAPPING_URL)[1], scriptUrl).href;
+    } catch (e) {}
+  }
+
+  if (!output.hasChanged()) {
+    return { code: source, changed: false, map: null, upstreamMapUrl };
+  }
+
+  if (mapComment) {
+    output.remove(mapComment.start, mapComment.end);
+  }
+  // Line-level mappings - per-character ones are several times the size of the script
+  const map = options.map ? JSON.parse(output.generateMap({ source: scriptUrl, includeContent: true }).toString()) : null;
+  return { code: output.toString(), changed: true, map, upstreamMapUrl };
+}
+
+module.exports = {
+  rewriteJavaScript
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Structured logging. Every line is one JSON object, e.g.
+//   {"time":"2026-01-01T12:00:00.000Z","level":"warn","msg":"Blocked target","requestId":"9f2c...","target":"http://10.0.0.1/"}
+// or, with log.format 'text', the same record in a form meant for a terminal. Each request gets
+// a child logger carrying its request id (req.log); loggers of the proxy's parts carry a component.
+// Errors are logged as their message in an `error` field.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Incoming X-Request-Id values that are reused instead of generating one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const CLF_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatText(record) {
+  const { time, level, msg, component, ...fields } = record;
+  const details = Object.keys(fields).filter(key => fields[key] !== undefined).map(key => {
+    const value = fields[key];
+    return `${key}=${typeof value === 'string' && /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value)}`;
+  });
+  return [time, level.toUpperCase().padEnd(5), component ? `[${component}]` : null, msg, ...details]
+    .filter(part => part !== null).join(' ');
+}
+
+// options - { level, format } (the log config section) and stream, where lines go (stdout)
+// fields - added to every line, see child()
+function createLogger(options = {}, fields = {}) {
+  const { level = 'info', format = 'json', stream = process.stdout } = options;
+  const threshold = LEVELS[level];
+
+  function write(lineLevel, msg, extra) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const record = { time: new Date().toISOString(), level: lineLevel, msg, ...fields, ...extra };
+    stream.write(`${format === 'text' ? formatText(record) : JSON.stringify(record)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Logger whose lines also carry these fields
+    child: (more) => createLogger(options, { ...fields, ...more })
+  };
+}
+
+// Used by modules that weren't handed a logger - library use outside createProxyServer
+const logger = createLogger();
+
+// The client's X-Request-Id when it looks like one, otherwise a fresh id
+function createRequestId(incoming) {
+  if (typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomBytes(12).toString('hex');
+}
+
+// [10/Oct/2000:13:55:36 +0000]
+function clfDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getUTCDate())}/${CLF_MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+// Quoted access log fields escape quotes, backslashes and control characters like Apache does
+function clfQuote(value) {
+  if (!value) return '"-"';
+  const escaped = String(value)
+    .replace(/["\\]/g, '\\$&')
+    .replace(/[\x00-\x1f\x7f]/g, char => `\\x${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+  return `"${escaped}"`;
+}
+
+// Apache combined log format: %h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"
+function formatCombined(entry) {
+  const requestLine = clfQuote(`${entry.method} ${entry.url} HTTP/${entry.httpVersion}`);
+  return `${entry.remoteAddr || '-'} - ${entry.user || '-'} [${clfDate(entry.time)}] ${requestLine} ` +
+    `${entry.status} ${entry.bytes || '-'} ${clfQuote(entry.referer)} ${clfQuote(entry.userAgent)}`;
+}
+
+// One line per finished request, in the combined format or as JSON, appended to log.accessFile
+// or written to stdout. options - the log config section. Returns null when log.access is 'off'.
+function createAccessLog(options, log = logger) {
+  if (options.access === 'off') return null;
+
+  const stream = options.accessFile ? fs.createWriteStream(options.accessFile, { flags: 'a' }) : process.stdout;
+  if (stream !== process.stdout) {
+    stream.on('error', (e) => log.error('Could not write the access log', { file: options.accessFile, error: e.message }));
+  }
+
+  // entry - { time, requestId, remoteAddr, user, method, url, httpVersion, status, bytes,
+  //   referer, userAgent, route, durationMs }
+  function write(entry) {
+    const line = options.access === 'combined'
+      ? formatCombined(entry)
+      : JSON.stringify({ ...entry, time: entry.time.toISOString() });
+    stream.write(`${line}\n`);
+  }
+
+  // Resolves once the file is flushed
+  function close() {
+    if (stream === process.stdout) return Promise.resolve();
+    return new Promise(resolve => stream.end(resolve));
+  }
+
+  return { write, close };
+}
+
+module.exports = {
+  createAccessLog,
+  createLogger,
+  createRequestId,
+  logger
+};
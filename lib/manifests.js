@@ -0,0 +1,129 @@
+// Streaming manifest rewriting - HLS playlists (.m3u8) and DASH MPDs (.mpd).
+//
+// Players fetch every segment, variant playlist and key named in a manifest themselves, so each
+// of those URLs is resolved against the manifest's location (DASH: its BaseURL chain) and passed
+// to a callback that returns the proxied form:
+//   HLS  - URI lines, and URI="..." attributes of tags (#EXT-X-KEY, #EXT-X-MAP, #EXT-X-MEDIA,
+//          #EXT-X-I-FRAME-STREAM-INF, #EXT-X-PART, ...)
+//   DASH - <BaseURL>, <Location> and <PatchLocation> contents, segment template and segment URL
+//          attributes, and xlink:href references
+// URLs with other schemes (skd:// FairPlay keys, data:, urn:) are left alone.
+
+const cheerio = require('cheerio');
+
+const HLS_CONTENT_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+const DASH_CONTENT_TYPES = ['application/dash+xml'];
+
+// Types servers commonly use for manifests they don't know better about
+const GENERIC_CONTENT_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'text/plain', 'application/xml', 'text/xml'];
+
+// Attributes of DASH elements holding URLs or URL templates
+const DASH_URL_ATTRIBUTES = {
+  SegmentTemplate: ['media', 'initialization', 'index', 'bitstreamSwitching'],
+  SegmentURL: ['media', 'index'],
+  Initialization: ['sourceURL'],
+  RepresentationIndex: ['sourceURL'],
+  BitstreamSwitching: ['sourceURL'],
+  Period: ['xlink:href'],
+  AdaptationSet: ['xlink:href'],
+  SegmentList: ['xlink:href'],
+  EventStream: ['xlink:href']
+};
+// DASH elements whose text is a URL
+const DASH_URL_ELEMENTS = ['BaseURL', 'Location', 'PatchLocation'];
+
+// 'hls', 'dash' or null. The extension decides only when the content type says nothing useful.
+function manifestType(contentType, url) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (HLS_CONTENT_TYPES.includes(type)) return 'hls';
+  if (DASH_CONTENT_TYPES.includes(type)) return 'dash';
+  if (!GENERIC_CONTENT_TYPES.includes(type)) return null;
+
+  let pathname = '';
+  try {
+    pathname = new URL(url).pathname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+  if (pathname.endsWith('.m3u8') || pathname.endsWith('.m3u')) return 'hls';
+  if (pathname.endsWith('.mpd')) return 'dash';
+  return null;
+}
+
+// Absolute URL for a manifest reference, or null when it isn't something to proxy
+function resolveReference(value, base) {
+  const trimmed = value.trim();
+  if (!trimmed || (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^https?:/i.test(trimmed))) return null;
+  try {
+    return new URL(trimmed, base).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Rewrite an HLS playlist. rewrite(absoluteUrl) returns the proxied URL.
+function rewriteHLSPlaylist(playlist, manifestUrl, rewrite) {
+  const rewriteReference = (value) => {
+    const absolute = resolveReference(value, manifestUrl);
+    return absolute ? rewrite(absolute) : value;
+  };
+
+  // Keep the line endings exactly as they were
+  return playlist.split(/(\r?\n)/).map(line => {
+    if (line === '\n' || line === '\r\n' || !line.trim()) return line;
+
+    if (!line.startsWith('#')) {
+      return rewriteReference(line);
+    }
+    if (!line.startsWith('#EXT')) return line; // Comment
+
+    return line.replace(/([:,](?:URI|SERVER-URI)=)"([^"]*)"/g, (match, name, value) => `${name}"${rewriteReference(value)}"`);
+  }).join('');
+}
+
+const localName = (name) => name.split(':').pop();
+
+// Rewrite a DASH MPD. rewrite(absoluteUrl) returns the proxied URL.
+function rewriteDASHManifest(mpd, manifestUrl, rewrite) {
+  const $ = cheerio.load(mpd, { xml: { decodeEntities: false } });
+
+  const rewriteReference = (value, base) => {
+    const absolute = resolveReference(value, base);
+    return absolute ? rewrite(absolute) : value;
+  };
+
+  // inherited - what relative URLs resolve against one level up. A BaseURL child (the first,
+  // when there are alternatives) changes it for this element and everything below.
+  const visit = (element, inherited) => {
+    const children = $(element).children().toArray();
+    const baseUrl = children.find(child => localName(child.tagName) === 'BaseURL');
+    const base = (baseUrl && resolveReference($(baseUrl).text(), inherited)) || inherited;
+
+    (DASH_URL_ATTRIBUTES[localName(element.tagName)] || []).forEach(name => {
+      const value = $(element).attr(name);
+      if (value) {
+        $(element).attr(name, rewriteReference(value, base));
+      }
+    });
+
+    children.forEach(child => {
+      const name = localName(child.tagName);
+      if (name === 'BaseURL') {
+        $(child).text(rewriteReference($(child).text(), inherited));
+      } else if (DASH_URL_ELEMENTS.includes(name)) {
+        $(child).text(rewriteReference($(child).text(), manifestUrl));
+      } else {
+        visit(child, base);
+      }
+    });
+  };
+
+  $.root().children().toArray().forEach(root => visit(root, manifestUrl));
+  return $.xml();
+}
+
+module.exports = {
+  manifestType,
+  rewriteDASHManifest,
+  rewriteHLSPlaylist
+};
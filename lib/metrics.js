@@ -0,0 +1,138 @@
+// Request, upstream and rewrite metrics, served at /metrics in the Prometheus text format.
+// Everything is kept in memory per proxy instance and starts from zero on restart, which
+// Prometheus' rate() and increase() expect of counters.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - from fast cache hits to uploads and slow upstreams
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Methods reported by name; anything else is counted as OTHER to keep the label set small
+const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// {route="path",status="200"} - values in labelNames order
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help, labelNames = []) {
+  // JSON array of label values -> count
+  const values = new Map();
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labelNames.map(label => String(labels[label])));
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = header(name, help, 'counter');
+      values.forEach((value, key) => lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`));
+      return lines;
+    }
+  };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  // JSON array of label values -> { counts per bucket, sum, count }
+  const series = new Map();
+
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labelNames.map(label => String(labels[label])));
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      series.forEach((entry, key) => {
+        const labelValues = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${entry.count}`);
+      });
+      return lines;
+    }
+  };
+}
+
+// Read when scraped rather than kept up to date
+function createGauge(name, help, collect) {
+  return {
+    render: () => [...header(name, help, 'gauge'), `${name} ${collect()}`]
+  };
+}
+
+// The proxy's metrics. gauges - { inFlight(), tunnels() } report current activity.
+//
+// Request routes: 'path' (/proxy/https/host/...), 'query' (/proxy?url=), 'catchall_hit' and
+// 'catchall_miss' (referer-based requests that could or couldn't be routed), and 'internal' for
+// the proxy's own endpoints and requests refused before routing (auth, shutdown).
+function createMetrics(gauges) {
+  const metrics = {
+    requests: createCounter('proxy_requests_total',
+      'Requests handled, by route, method and response status', ['route', 'method', 'status']),
+    requestDuration: createHistogram('proxy_request_duration_seconds',
+      'Time from receiving a request to finishing its response, by route', ['route']),
+    upstreamResponses: createCounter('proxy_upstream_responses_total',
+      'Responses received from upstream servers, by status code', ['status']),
+    upstreamErrors: createCounter('proxy_upstream_errors_total',
+      'Upstream requests that failed without a response, by error code', ['code']),
+    egressRequests: createCounter('proxy_egress_requests_total',
+      'Upstream requests by egress route - an upstream proxy name or direct', ['via']),
+    upstreamDuration: createHistogram('proxy_upstream_response_seconds',
+      'Time until an upstream server sent its response headers'),
+    requestBytes: createCounter('proxy_request_body_bytes_total',
+      'Request body bytes received from clients and streamed upstream'),
+    upstreamBytes: createCounter('proxy_upstream_body_bytes_total',
+      'Response body bytes received from upstream servers, after decompression'),
+    responseBytes: createCounter('proxy_response_body_bytes_total',
+      'Response body bytes sent to clients'),
+    filterBlocks: createCounter('proxy_filter_blocks_total',
+      'Requests refused by the content filter, by list category and request type', ['category', 'type']),
+    rewriteFailures: createCounter('proxy_rewrite_failures_total',
+      'Response bodies sent unchanged because rewriting them failed, by content type', ['type'])
+  };
+
+  const currentGauges = [
+    createGauge('proxy_upstream_requests_in_flight', 'Upstream requests currently open', gauges.inFlight),
+    createGauge('proxy_websocket_tunnels', 'WebSocket tunnels currently open', gauges.tunnels)
+  ];
+
+  // Record a finished request
+  function recordRequest(route, method, status, seconds) {
+    metrics.requests.inc({ route, method: METHODS.includes(method) ? method : 'OTHER', status });
+    metrics.requestDuration.observe({ route }, seconds);
+  }
+
+  function render() {
+    const lines = [...Object.values(metrics), ...currentGauges].reduce((all, metric) => all.concat(metric.render()), []);
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { ...metrics, recordRequest, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetrics
+};
@@ -0,0 +1,119 @@
+// Plugin pipeline for site-specific behaviour.
+//
+// A plugin is a plain object:
+//
+//   {
+//     name: 'example-fixes',                      // used in log lines
+//     hosts: ['example.com', '*.example.com'],    // optional - omit to run for every host.
+//                                                 // Strings match exactly, '*.x' matches
+//                                                 // subdomains of x; RegExps and
+//                                                 // (hostname) => boolean also work.
+//     onRequest(options, context) {},             // edit the `request` options before the
+//                                                 // upstream fetch; return true after sending
+//                                                 // a response yourself to skip the fetch
+//     onUpstreamResponse(response, context) {},   // inspect/edit upstream status and headers
+//     onHTML($, context) {},                      // edit the rewritten document (cheerio $)
+//     onCSS(css, context) { return css; },        // return a replacement string, or nothing
+//     onJS(js, context) { return js; },           //   to keep the current value
+//     onJSON(json, context) { return json; },     // parsed JSON, same convention
+//     onError(err, context) {}                    // upstream failure; return true after
+//                                                 // sending a response yourself
+//   }
+//
+// context is shared by every hook of one proxied request:
+//   { req, res, route, targetUrl, hostname, proxyBase, response, rewriteURL(url), log }
+// route is 'path' (/proxy/https/host/...), 'query' (/proxy?url=) or 'catchall' (referer-based).
+// With origin isolation proxyBase has '*' for the subdomain label - build URLs with rewriteURL.
+// targetUrl/hostname follow server-side redirects once the upstream response arrives, and
+// rewriteURL(url) turns a URL from the page into its proxied form. log is the request's logger
+// (see lib/logger.js), so plugin lines carry its request id.
+//
+// Plugins run in registration order. A plugin that throws is logged and skipped.
+// Cached HTML/CSS/JS is rewritten once per proxy base, so onHTML/onCSS/onJS output must not depend
+// on the individual request (cookies, session) - only on the document, targetUrl and proxyBase.
+// onJSON runs on every response.
+
+const { logger } = require('./logger');
+
+const HOOKS = ['onRequest', 'onUpstreamResponse', 'onHTML', 'onCSS', 'onJS', 'onJSON', 'onError'];
+
+function hostMatches(pattern, hostname) {
+  if (pattern instanceof RegExp) return pattern.test(hostname);
+  if (typeof pattern === 'function') return Boolean(pattern(hostname));
+
+  pattern = String(pattern).toLowerCase();
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+function appliesTo(plugin, hostname) {
+  if (!plugin.hosts) return true;
+  return plugin.hosts.some(pattern => hostMatches(pattern, (hostname || '').toLowerCase()));
+}
+
+// Catch typos like onHtml early instead of silently never calling them
+function validatePlugin(plugin, index) {
+  const label = plugin && plugin.name ? `Plugin "${plugin.name}"` : `Plugin #${index}`;
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+  if (plugin.hosts !== undefined && !Array.isArray(plugin.hosts)) {
+    throw new Error(`${label}: hosts must be an array`);
+  }
+  Object.keys(plugin).forEach(key => {
+    if (/^on[A-Z]/.test(key) && !HOOKS.includes(key)) {
+      throw new Error(`${label}: unknown hook ${key} (expected one of ${HOOKS.join(', ')})`);
+    }
+    if (HOOKS.includes(key) && typeof plugin[key] !== 'function') {
+      throw new Error(`${label}: ${key} must be a function`);
+    }
+  });
+}
+
+function createPluginPipeline(plugins = [], log = logger) {
+  plugins.forEach(validatePlugin);
+
+  function matching(hook, context) {
+    return plugins.filter(plugin => plugin[hook] && appliesTo(plugin, context.hostname));
+  }
+
+  function call(plugin, hook, subject, context) {
+    try {
+      return plugin[hook](subject, context);
+    } catch (e) {
+      (context.log || log).error('Plugin hook failed', { plugin: plugin.name || 'anonymous', hook, error: e.message });
+      return undefined;
+    }
+  }
+
+  return {
+    plugins,
+
+    // Hooks that can take over the response (onRequest, onError): stop at the first true
+    handle(hook, subject, context) {
+      return matching(hook, context).some(plugin => call(plugin, hook, subject, context) === true);
+    },
+
+    // Hooks that observe or mutate in place (onUpstreamResponse, onHTML)
+    notify(hook, subject, context) {
+      matching(hook, context).forEach(plugin => call(plugin, hook, subject, context));
+    },
+
+    // Hooks that may replace a value (onCSS, onJS, onJSON)
+    transform(hook, value, context) {
+      return matching(hook, context).reduce((current, plugin) => {
+        const result = call(plugin, hook, current, context);
+        return result === undefined ? current : result;
+      }, value);
+    }
+  };
+}
+
+module.exports = {
+  HOOKS,
+  createPluginPipeline,
+  hostMatches
+};
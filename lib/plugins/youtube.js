@@ -0,0 +1,224 @@
+const { logger } = require('../logger');
+
+// YouTube embed handler - serves a lightweight player/search page instead of proxying youtube.com
+function handleYouTube(targetUrl, res, proxyBase = '', log = logger) {
+  try {
+    const urlObj = new URL(targetUrl);
+    let videoId = null;
+
+    // Extract video ID from various YouTube URL formats
+    if (urlObj.hostname.includes('youtube.com')) {
+      if (urlObj.pathname === '/watch') {
+        videoId = urlObj.searchParams.get('v');
+      } else if (urlObj.pathname.startsWith('/embed/')) {
+        videoId = urlObj.pathname.split('/embed/')[1].split('?')[0];
+      } else if (urlObj.pathname.startsWith('/v/')) {
+        videoId = urlObj.pathname.split('/v/')[1].split('?')[0];
+      }
+
+      // Handle search queries
+      if (urlObj.pathname === '/results' || urlObj.pathname.startsWith('/search')) {
+        const searchQuery = urlObj.searchParams.get('search_query') || urlObj.searchParams.get('q');
+        if (searchQuery) {
+          return res.send(createYouTubeSearchPage(searchQuery, proxyBase));
+        }
+      }
+    } else if (urlObj.hostname === 'youtu.be') {
+      videoId = urlObj.pathname.substring(1).split('?')[0];
+    }
+
+    if (videoId) {
+      return res.send(createYouTubeEmbedPage(videoId, targetUrl, proxyBase));
+    }
+
+    // If no video ID found, show YouTube home with search
+    return res.send(createYouTubeHomePage(proxyBase));
+  } catch (e) {
+    log.error('YouTube handler failed', { error: e.message });
+    return null;
+  }
+}
+
+function createYouTubeEmbedPage(videoId, originalUrl, proxyBase) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>YouTube Video Player</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { background: #0f0f0f; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+        .container { max-width: 1280px; margin: 0 auto; padding: 20px; }
+        .video-wrapper { position: relative; width: 100%; padding-bottom: 56.25%; background: #000; border-radius: 12px; overflow: hidden; }
+        .video-wrapper iframe { position: absolute; top: 0; left: 0; width: 100%; height: 100%; border: none; }
+        .info { background: #272727; padding: 16px; margin-top: 12px; border-radius: 12px; color: #fff; }
+        .info h1 { font-size: 20px; margin-bottom: 8px; }
+        .info a { color: #3ea6ff; text-decoration: none; }
+        .info a:hover { text-decoration: underline; }
+        .search-bar { background: #272727; padding: 12px; margin-bottom: 20px; border-radius: 12px; display: flex; gap: 12px; }
+        .search-bar input { flex: 1; padding: 10px 16px; border: 1px solid #303030; background: #121212; color: #fff; border-radius: 24px; outline: none; font-size: 16px; }
+        .search-bar input:focus { border-color: #3ea6ff; }
+        .search-bar button { padding: 10px 24px; background: #3ea6ff; color: #fff; border: none; border-radius: 24px; cursor: pointer; font-weight: 500; }
+        .search-bar button:hover { background: #2e95e8; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="search-bar">
+          <input type="text" id="searchInput" placeholder="Search YouTube..." onkeypress="if(event.key==='Enter') searchYouTube()">
+          <button onclick="searchYouTube()">Search</button>
+        </div>
+        <div class="video-wrapper">
+          <iframe
+            src="https://www.youtube.com/embed/${videoId}?autoplay=1&rel=0"
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+            allowfullscreen>
+          </iframe>
+        </div>
+        <div class="info">
+          <h1>YouTube Video Player</h1>
+          <p>Video ID: ${videoId}</p>
+          <p><a href="${originalUrl}" target="_blank">Open on YouTube</a></p>
+        </div>
+      </div>
+      <script>
+        function searchYouTube() {
+          const query = document.getElementById('searchInput').value.trim();
+          if (query) {
+            window.location.href = '${proxyBase}/proxy?url=https://www.youtube.com/results?search_query=' + encodeURIComponent(query);
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+function createYouTubeSearchPage(query, proxyBase) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>YouTube Search: ${query}</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { background: #0f0f0f; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #fff; }
+        .container { max-width: 1280px; margin: 0 auto; padding: 20px; }
+        .search-bar { background: #272727; padding: 12px; margin-bottom: 20px; border-radius: 12px; display: flex; gap: 12px; }
+        .search-bar input { flex: 1; padding: 10px 16px; border: 1px solid #303030; background: #121212; color: #fff; border-radius: 24px; outline: none; font-size: 16px; }
+        .search-bar input:focus { border-color: #3ea6ff; }
+        .search-bar button { padding: 10px 24px; background: #3ea6ff; color: #fff; border: none; border-radius: 24px; cursor: pointer; font-weight: 500; }
+        .search-bar button:hover { background: #2e95e8; }
+        .message { text-align: center; padding: 40px; background: #272727; border-radius: 12px; }
+        .message h2 { margin-bottom: 16px; }
+        .message p { color: #aaa; margin-bottom: 24px; }
+        .message a { display: inline-block; padding: 12px 24px; background: #3ea6ff; color: #fff; text-decoration: none; border-radius: 24px; }
+        .message a:hover { background: #2e95e8; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="search-bar">
+          <input type="text" id="searchInput" placeholder="Search YouTube..." value="${query}" onkeypress="if(event.key==='Enter') searchYouTube()">
+          <button onclick="searchYouTube()">Search</button>
+        </div>
+        <div class="message">
+          <h2>Search Results for: "${query}"</h2>
+          <p>To watch a video, paste a YouTube video URL in the search bar above</p>
+          <p style="margin-top: 16px; color: #888; font-size: 14px;">Supported formats:</p>
+          <p style="color: #888; font-size: 14px;">
+            • https://youtube.com/watch?v=VIDEO_ID<br>
+            • https://youtu.be/VIDEO_ID<br>
+            • https://youtube.com/embed/VIDEO_ID
+          </p>
+          <a href="https://youtube.com/results?search_query=${encodeURIComponent(query)}" target="_blank">Search on YouTube.com</a>
+        </div>
+      </div>
+      <script>
+        function searchYouTube() {
+          const query = document.getElementById('searchInput').value.trim();
+          if (query) {
+            // Check if it's a YouTube URL
+            if (query.includes('youtube.com') || query.includes('youtu.be')) {
+              window.location.href = '${proxyBase}/proxy?url=' + encodeURIComponent(query);
+            } else {
+              window.location.href = '${proxyBase}/proxy?url=https://www.youtube.com/results?search_query=' + encodeURIComponent(query);
+            }
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+function createYouTubeHomePage(proxyBase) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>YouTube Player</title>
+      <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { background: #0f0f0f; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #fff; min-height: 100vh; display: flex; align-items: center; justify-content: center; }
+        .container { max-width: 600px; padding: 40px; text-align: center; }
+        .logo { font-size: 48px; font-weight: 700; margin-bottom: 32px; background: linear-gradient(45deg, #ff0000, #cc0000); -webkit-background-clip: text; -webkit-text-fill-color: transparent; }
+        .search-bar { background: #272727; padding: 12px; margin-bottom: 20px; border-radius: 12px; display: flex; gap: 12px; }
+        .search-bar input { flex: 1; padding: 12px 20px; border: 1px solid #303030; background: #121212; color: #fff; border-radius: 24px; outline: none; font-size: 16px; }
+        .search-bar input:focus { border-color: #3ea6ff; }
+        .search-bar button { padding: 12px 28px; background: #3ea6ff; color: #fff; border: none; border-radius: 24px; cursor: pointer; font-weight: 500; font-size: 16px; }
+        .search-bar button:hover { background: #2e95e8; }
+        .info { color: #aaa; font-size: 14px; line-height: 1.6; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">YouTube</div>
+        <div class="search-bar">
+          <input type="text" id="searchInput" placeholder="Paste YouTube video URL or search..." onkeypress="if(event.key==='Enter') handleSearch()">
+          <button onclick="handleSearch()">Go</button>
+        </div>
+        <div class="info">
+          <p>Paste a YouTube video URL or enter a search term</p>
+          <p style="margin-top: 12px;">Supported formats:</p>
+          <p>
+            • https://youtube.com/watch?v=VIDEO_ID<br>
+            • https://youtu.be/VIDEO_ID<br>
+            • Or just search for videos
+          </p>
+        </div>
+      </div>
+      <script>
+        function handleSearch() {
+          const input = document.getElementById('searchInput').value.trim();
+          if (input) {
+            // Check if it's a YouTube URL
+            if (input.includes('youtube.com') || input.includes('youtu.be')) {
+              window.location.href = '${proxyBase}/proxy?url=' + encodeURIComponent(input);
+            } else {
+              window.location.href = '${proxyBase}/proxy?url=https://www.youtube.com/results?search_query=' + encodeURIComponent(input);
+            }
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `;
+}
+
+// Only pages opened through /proxy are replaced; referer-based subrequests pass through
+module.exports = {
+  name: 'youtube',
+  hosts: ['youtube.com', '*.youtube.com', 'youtu.be'],
+  onRequest(options, context) {
+    if (context.route === 'catchall') return false;
+    return handleYouTube(context.targetUrl, context.res, context.proxyBase, context.log) !== null;
+  },
+  handleYouTube
+};
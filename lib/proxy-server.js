@@ -0,0 +1,1255 @@
+const express = require('express');
+const request = require('request');
+const { PassThrough, Transform } = require('stream');
+const { decodeBuffer } = require('./charset');
+const { rewriteURL, rewriteRefresh, rewriteHTML, rewriteCSS, rewriteJS, rewriteJSSourceMap, rewriteJSON, rewriteManifest, rewriteXML } = require('./rewrite');
+const { manifestType } = require('./manifests');
+const { isXMLContentType } = require('./xml');
+const { createPluginPipeline } = require('./plugins');
+const youtubePlugin = require('./plugins/youtube');
+const { createConfig, redactConfig } = require('./config');
+const { createAuth } = require('./auth');
+const { DIRECT, createEgress } = require('./egress');
+const { createFilter } = require('./filter');
+const { createHarRecorder, createHarReplay } = require('./har');
+const { createIsolation, hostForLabel, labelForHost, proxyBaseFor } = require('./isolation');
+const { createAccessLog, createLogger, createRequestId } = require('./logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./metrics');
+const { RUNTIME_PATH, SERVICE_WORKER_PATH, serveRuntime, serveServiceWorker } = require('./runtime');
+const { SOURCE_MAP_PATH, composeSourceMap, createSourceMapStore, decodeDataMap } = require('./sourcemaps');
+const {
+  createCache,
+  currentAge,
+  hasValidators,
+  isCacheableRequest,
+  isFresh,
+  isStorableResponse,
+  matchesClientValidators,
+  requestNeedsRevalidation,
+  upstreamHeaders
+} = require('./cache');
+const { createSessionStore } = require('./sessions');
+const { rewriteSetCookieHeaders, toUpstreamCookieHeader } = require('./cookies');
+const { TARGET_BLOCKED, createTargetGuard } = require('./target-guard');
+const { createUpgradeHandler } = require('./websocket');
+
+// Error code for request bodies over upload.maxBytes - mapped to a 413
+const UPLOAD_TOO_LARGE = 'EUPLOADTOOLARGE';
+
+// Get proxy base URL dynamically, including the path the proxy is mounted under.
+// With origin isolation the base has '*' for the subdomain label, which the rewriters fill in
+// per target (see lib/isolation.js); passing targetUrl gives the base on that target's own subdomain.
+function getProxyBase(req, targetUrl) {
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  let host = req.headers['x-forwarded-host'] || req.get('host');
+  if (req.proxyIsolation) {
+    host = targetUrl ? req.proxyIsolation.hostFor(targetUrl, host) : req.proxyIsolation.wildcardHost(host);
+  }
+  return `${protocol}://${host}${req.baseUrl}`;
+}
+
+// Requests that load a document into a window or frame - the ones origin isolation moves
+function isDocumentRequest(req) {
+  const dest = req.headers['sec-fetch-dest'];
+  if (dest) {
+    return dest === 'document' || dest === 'iframe' || dest === 'frame';
+  }
+  return req.method === 'GET' && (req.headers.accept || '').includes('text/html');
+}
+
+// Transport settings shared by every upstream request
+function upstreamRequestOptions(ctx, req) {
+  return {
+    encoding: null, // Get response as Buffer
+    followRedirect: ctx.config.redirectMode === 'follow',
+    maxRedirects: ctx.config.upstream.maxRedirects,
+    timeout: ctx.config.upstream.timeout,
+    gzip: true,
+    jar: req.proxySession.jar, // Per-client cookie jar for upstream sessions
+    strictSSL: ctx.config.upstream.strictSSL
+  };
+}
+
+// Point options at the upstream proxy url is routed through, if any (see lib/egress.js).
+// Returns the route; throws EGRESS_UNAVAILABLE when none of its proxies is up.
+function applyEgressRoute(ctx, options, url) {
+  if (!ctx.egress) return { via: DIRECT, checkTargets: false };
+  const route = ctx.egress.route(url);
+  if (route.via !== DIRECT) {
+    // The upstream proxy may well sit on a private address the guard would refuse, so the
+    // guard runs on targets instead - in the tunnel agents, or through guardProxiedTarget
+    delete options.lookup;
+    Object.assign(options, route.requestOptions);
+  }
+  return route;
+}
+
+// Run the guard on a target request() sends to an upstream proxy by name, before it goes out.
+// The proxy follows redirects without asking us, so hops to other hosts are handed back to the
+// browser instead, whose next request gets checked here. callback(err)
+function guardProxiedTarget(ctx, options, url, callback) {
+  const hostname = new URL(url).hostname;
+  const follow = options.followRedirect === undefined ? true : options.followRedirect;
+  if (follow) {
+    options.followRedirect = (response) =>
+      new URL(response.headers.location, response.request.uri.href).hostname === hostname &&
+      (typeof follow !== 'function' || follow(response));
+  }
+  ctx.guard.lookup(hostname.replace(/^\[|\]$/g, ''), {}, err => callback(err || null));
+}
+
+// Content types that go through the buffering rewriters - everything else is streamed.
+// rewrite is the config's per-type toggles; url lets manifests served with a generic type be recognised.
+function isRewritableContentType(contentType, rewrite, url) {
+  return (rewrite.html && contentType.includes('text/html')) ||
+    (rewrite.css && contentType.includes('text/css')) ||
+    (rewrite.js && contentType.includes('javascript')) ||
+    (rewrite.json && contentType.includes('json')) ||
+    (rewrite.xml && isXMLContentType(contentType)) ||
+    (rewrite.manifests && manifestType(contentType, url) !== null);
+}
+
+// Forward byte-range headers so media seeking and resumable downloads work
+function forwardRangeHeaders(req, options) {
+  if (req.headers.range) {
+    options.headers['Range'] = req.headers.range;
+    // Ranges refer to the encoded bytes, so ask for the identity encoding
+    options.headers['Accept-Encoding'] = 'identity';
+  }
+  if (req.headers['if-range']) {
+    options.headers['If-Range'] = req.headers['if-range'];
+  }
+}
+
+// The browser's request carries a body when it has a length or a transfer coding (RFC 9112)
+function hasRequestBody(req) {
+  return req.headers['content-length'] !== undefined || req.headers['transfer-encoding'] !== undefined;
+}
+
+// Describe the body exactly as the browser sent it - fetchUpstream streams the bytes themselves
+function forwardBodyHeaders(req, options) {
+  if (!hasRequestBody(req)) return;
+  [['content-type', 'Content-Type'], ['content-length', 'Content-Length'], ['content-encoding', 'Content-Encoding']]
+    .forEach(([name, canonical]) => {
+      if (req.headers[name] !== undefined) {
+        options.headers[canonical] = req.headers[name];
+      }
+    });
+}
+
+// Forward the browser's cache directives and validators so upstream can answer 304
+function forwardCacheHeaders(req, options) {
+  if (req.headers['cache-control']) {
+    options.headers['Cache-Control'] = req.headers['cache-control'];
+  }
+  if (req.headers.pragma) {
+    options.headers['Pragma'] = req.headers.pragma;
+  }
+  if (req.headers['if-none-match']) {
+    options.headers['If-None-Match'] = req.headers['if-none-match'];
+  }
+  if (req.headers['if-modified-since']) {
+    options.headers['If-Modified-Since'] = req.headers['if-modified-since'];
+  }
+}
+
+// Count the body bytes written to res; returns a function reporting the total so far
+function countResponseBytes(res) {
+  let bytes = 0;
+  const write = res.write;
+  const end = res.end;
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+    }
+  };
+  res.write = function(chunk, encoding, callback) {
+    count(chunk, encoding);
+    return write.call(this, chunk, encoding, callback);
+  };
+  res.end = function(chunk, encoding, callback) {
+    count(chunk, encoding);
+    return end.call(this, chunk, encoding, callback);
+  };
+  return () => bytes;
+}
+
+// Refuse a request body larger than upload.maxBytes
+function sendUploadTooLarge(res, limit) {
+  // The rest of the body is never read, so the connection can't be reused
+  res.set('Connection', 'close');
+  res.status(413).json({
+    error: 'Payload too large',
+    message: `Request bodies are limited to ${limit} bytes`,
+    limit
+  });
+}
+
+// Pipe the browser's request body to upstream unchanged, failing the upstream request with
+// UPLOAD_TOO_LARGE once it passes upload.maxBytes (0 - unlimited). Piping a plain stream rather than
+// req itself keeps request from copying the browser's headers (proxy cookies included) upstream.
+function streamRequestBody(ctx, context, upstream) {
+  const { req } = context;
+  const limit = ctx.config.upload.maxBytes;
+  let received = 0;
+  const body = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      ctx.metrics.requestBytes.inc({}, chunk.length);
+      if (context.har) context.har.requestData(chunk);
+      if (limit && received > limit) {
+        const err = new Error(`Request body exceeds ${limit} bytes`);
+        err.code = UPLOAD_TOO_LARGE;
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+  body.on('error', (err) => {
+    req.unpipe(body);
+    upstream.abort();
+    upstream.emit('error', err);
+  });
+  req.pipe(body).pipe(upstream);
+}
+
+// Refuse a target the SSRF guard blocked
+function sendForbiddenTarget(res, targetUrl, err) {
+  res.req.log.warn('Blocked target', { target: targetUrl, error: err.message });
+  res.status(403).json({
+    error: 'Forbidden target',
+    message: err.message,
+    target: targetUrl
+  });
+}
+
+// Answer a request the content filter blocked: navigations get the block page, subresources
+// an empty response
+function sendFiltered(ctx, res, targetUrl, blocked) {
+  ctx.metrics.filterBlocks.inc({ category: blocked.category, type: blocked.type });
+  res.req.log.debug('Blocked by content filter', { target: targetUrl, category: blocked.category, rule: blocked.rule, type: blocked.type });
+  res.set('X-Proxy-Blocked', blocked.category);
+  if (blocked.type === 'document') {
+    return res.status(403).type('html').send(ctx.filter.blockPage(targetUrl, blocked));
+  }
+  res.status(204).end();
+}
+
+// State shared by every plugin hook of one proxied request (see lib/plugins.js)
+function createHookContext(req, res, targetUrl, proxyBase, route) {
+  const context = {
+    req,
+    res,
+    route,
+    targetUrl,
+    hostname: new URL(targetUrl).hostname,
+    proxyBase,
+    response: null,
+    rewriteURL: (url) => rewriteURL(url, context.targetUrl, proxyBase),
+    log: req.log,
+    har: null // This exchange's HAR recording, with har.mode 'record' (see lib/har.js)
+  };
+  return context;
+}
+
+// Shared proxy request handler.
+// route - which entry point built the request: 'path', 'query' or 'catchall'
+function proxyRequest(ctx, options, req, res, targetUrl, proxyBase, route) {
+  const uploadLimit = ctx.config.upload.maxBytes;
+  if (uploadLimit && Number(req.headers['content-length']) > uploadLimit) {
+    return sendUploadTooLarge(res, uploadLimit);
+  }
+
+  const context = createHookContext(req, res, targetUrl, proxyBase, route);
+
+  if (ctx.plugins.handle('onRequest', options, context)) {
+    return; // A plugin answered the request itself
+  }
+  // Plugins may have pointed the request somewhere else
+  targetUrl = String(options.url);
+
+  // IP literals never hit DNS, so check them up front; hostnames are checked by the guard's lookup
+  const literalBlocked = ctx.guard.checkLiteralHost(new URL(targetUrl).hostname);
+  if (literalBlocked) {
+    return sendForbiddenTarget(res, targetUrl, literalBlocked);
+  }
+
+  const filtered = ctx.filter ? ctx.filter.check(targetUrl, req) : null;
+  if (filtered) {
+    return sendFiltered(ctx, res, targetUrl, filtered);
+  }
+
+  // With har.mode 'record', everything from here on ends up in the HAR file
+  context.har = ctx.harRecorder ? ctx.harRecorder.capture(context, options) : null;
+
+  if (!ctx.cache || !isCacheableRequest(options)) {
+    return fetchUpstream(ctx, options, context, null);
+  }
+
+  // Vary: Cookie has to see the jar's cookies too, or a logged-in session gets the anonymous copy
+  ctx.cache.lookup(targetUrl, upstreamHeaders(options)).then((variant) => {
+    if (res.writableEnded || res.destroyed) return;
+
+    if (variant && isFresh(variant) && !requestNeedsRevalidation(options)) {
+      ctx.cache.recordHit();
+      return sendCachedResponse(ctx, context, { url: targetUrl, variant }, 'HIT');
+    }
+
+    ctx.cache.recordMiss();
+    if (variant && hasValidators(variant)) {
+      // Revalidate with our own validators; the browser's are answered from the stored copy
+      delete options.headers['If-None-Match'];
+      delete options.headers['If-Modified-Since'];
+      if (variant.headers.etag) options.headers['If-None-Match'] = variant.headers.etag;
+      if (variant.headers['last-modified']) options.headers['If-Modified-Since'] = variant.headers['last-modified'];
+      return fetchUpstream(ctx, options, context, { url: targetUrl, variant });
+    }
+    fetchUpstream(ctx, options, context, null);
+  }).catch((e) => {
+    context.log.error('Cache lookup failed', { component: 'cache', error: e.message });
+    fetchUpstream(ctx, options, context, null);
+  });
+}
+
+// Fetch from upstream and relay the response.
+// cached - { url, variant } when revalidating a stored response, otherwise null
+function fetchUpstream(ctx, options, context, cached) {
+  const { res } = context;
+  const targetUrl = String(options.url);
+
+  context.redirectBlocked = null;
+  options.lookup = ctx.guard.lookup;
+  if (options.followRedirect) {
+    // Run the guard again on every redirect hop
+    options.followRedirect = (response) => {
+      const next = new URL(response.headers.location, response.request.uri.href);
+      context.redirectBlocked = ctx.guard.checkLiteralHost(next.hostname);
+      // Redirects to filtered URLs go to the browser, whose next request gets the block
+      return !context.redirectBlocked && !(ctx.filter && ctx.filter.check(next.href, context.req));
+    };
+  }
+
+  // Replays never touch the network, so they need no route
+  if (ctx.harReplay) {
+    return requestUpstream(ctx, options, context, cached);
+  }
+
+  let route;
+  try {
+    route = applyEgressRoute(ctx, options, targetUrl);
+  } catch (err) {
+    ctx.metrics.upstreamErrors.inc({ code: err.code });
+    if (context.har) context.har.failed(err);
+    context.log.warn('Upstream request failed', { target: targetUrl, error: err.message, code: err.code });
+    return res.status(502).json({
+      error: 'No upstream proxy available',
+      message: err.message
+    });
+  }
+  ctx.metrics.egressRequests.inc({ via: route.via });
+
+  if (!route.checkTargets) {
+    return requestUpstream(ctx, options, context, cached);
+  }
+  guardProxiedTarget(ctx, options, targetUrl, (err) => {
+    // The browser may have gone away meanwhile
+    if (res.writableEnded || res.destroyed) return;
+    if (!err) return requestUpstream(ctx, options, context, cached);
+    ctx.metrics.upstreamErrors.inc({ code: err.code || 'unknown' });
+    if (context.har) context.har.failed(err);
+    if (err.code === TARGET_BLOCKED) {
+      return sendForbiddenTarget(res, targetUrl, err);
+    }
+    context.log.warn('Upstream request failed', { target: targetUrl, error: err.message, code: err.code });
+    res.status(502).json({
+      error: 'Failed to fetch URL',
+      message: `Could not check ${new URL(targetUrl).hostname} before sending it to the upstream proxy: ${err.message}`
+    });
+  });
+}
+
+// Send the request upstream (or to the HAR replay) and relay the response
+function requestUpstream(ctx, options, context, cached) {
+  const { res } = context;
+  const targetUrl = String(options.url);
+  const started = Date.now();
+  // har.mode 'replay' answers from the recording instead of the network
+  const upstream = ctx.harReplay ? ctx.harReplay.request(options) : request(options);
+
+  // Stream the browser's body for any method, unless a plugin supplied one of its own
+  const pluginBody = options.body !== undefined || options.form || options.formData || options.json;
+  if (hasRequestBody(context.req) && !pluginBody) {
+    streamRequestBody(ctx, context, upstream);
+  }
+
+  // Tracked until the browser's response is done so close() can drain it
+  ctx.inFlight.add(upstream);
+
+  // Stop fetching if the browser goes away (e.g. a video seek aborts the old range)
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      upstream.abort();
+    }
+    ctx.inFlight.delete(upstream);
+    if (ctx.onDrained && ctx.inFlight.size === 0) {
+      ctx.onDrained();
+    }
+  });
+
+  upstream.on('error', (error) => {
+    ctx.metrics.upstreamErrors.inc({ code: error.code || 'unknown' });
+    if (context.har) context.har.failed(error);
+
+    if (!res.headersSent && ctx.plugins.handle('onError', error, context)) {
+      return;
+    }
+
+    if (error.code === TARGET_BLOCKED && !res.headersSent) {
+      return sendForbiddenTarget(res, targetUrl, error);
+    }
+
+    if (error.code === UPLOAD_TOO_LARGE && !res.headersSent) {
+      return sendUploadTooLarge(res, ctx.config.upload.maxBytes);
+    }
+
+    context.log.warn('Upstream request failed', { target: targetUrl, error: error.message, code: error.code });
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(502).json({
+      error: 'Failed to fetch URL',
+      message: error.message
+    });
+  });
+
+  upstream.on('response', (response) => {
+    ctx.metrics.upstreamResponses.inc({ status: response.statusCode });
+    ctx.metrics.upstreamDuration.observe({}, (Date.now() - started) / 1000);
+    upstream.on('data', chunk => ctx.metrics.upstreamBytes.inc({}, chunk.length));
+
+    if (context.redirectBlocked) {
+      upstream.abort();
+      return sendForbiddenTarget(res, response.headers.location, context.redirectBlocked);
+    }
+
+    // Where the body actually came from - differs from targetUrl after server-side redirects
+    const finalUrl = response.request.uri.href;
+    context.targetUrl = finalUrl;
+    context.hostname = new URL(finalUrl).hostname;
+    context.response = response;
+
+    // Stored copy is still good - serve it with the refreshed freshness headers
+    if (cached && response.statusCode === 304) {
+      ctx.cache.refresh(cached.url, cached.variant, response.headers);
+      return sendCachedResponse(ctx, context, cached, 'REVALIDATED');
+    }
+
+    if (context.har) {
+      context.har.response(response);
+      upstream.on('data', chunk => context.har.responseData(chunk));
+    }
+
+    ctx.plugins.notify('onUpstreamResponse', response, context);
+
+    // Get content type
+    const contentType = response.headers['content-type'] || '';
+
+    sendResponseHead(ctx, context, response.statusCode, response.headers);
+
+    // Only responses fetched without redirects are stored, so the key always matches the body's URL
+    const storable = ctx.cache && finalUrl === targetUrl &&
+      isCacheableRequest(options) && isStorableResponse(options, response);
+    if (ctx.cache) {
+      res.set('X-Proxy-Cache', storable ? 'MISS' : 'BYPASS');
+    }
+    if (cached && !storable) {
+      ctx.cache.invalidate(cached.url);
+    }
+    const store = (body) => (storable ? ctx.cache.store(targetUrl, upstreamHeaders(options), response, body) : null);
+
+    // Stream media, downloads and partial content straight through without buffering.
+    // The PassThrough keeps request from copying the raw upstream headers onto res.
+    if (response.statusCode === 206 || !isRewritableContentType(contentType, ctx.config.rewrite, finalUrl)) {
+      if (storable) {
+        // Keep a copy while streaming, giving up once it outgrows the cache's entry limit
+        let chunks = [];
+        let size = 0;
+        upstream.on('data', (chunk) => {
+          if (!chunks) return;
+          size += chunk.length;
+          if (size > ctx.config.cache.maxEntrySize) {
+            chunks = null;
+          } else {
+            chunks.push(chunk);
+          }
+        });
+        upstream.on('end', () => {
+          if (chunks) store(Buffer.concat(chunks));
+        });
+      }
+      return upstream.pipe(new PassThrough()).pipe(res);
+    }
+
+    const chunks = [];
+    upstream.on('data', chunk => chunks.push(chunk));
+    upstream.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const variant = store(body);
+      sendRewrittenBody(ctx, context, body, contentType, variant ? { url: targetUrl, variant } : null);
+    });
+  });
+}
+
+// Copy upstream status and headers onto the browser response, rewriting what points at the target
+function sendResponseHead(ctx, context, statusCode, headers) {
+  const { res, proxyBase } = context;
+  const finalUrl = context.targetUrl;
+
+  // Set response headers
+  res.status(statusCode);
+
+  // Remove problematic headers
+  Object.keys(headers).forEach(key => {
+    const lowerKey = key.toLowerCase();
+    if (!ctx.config.response.strippedHeaders.includes(lowerKey) &&
+        lowerKey !== 'content-encoding' &&
+        lowerKey !== 'transfer-encoding' &&
+        lowerKey !== 'set-cookie') {  // Appended below so the proxy session cookie survives
+      res.set(key, headers[key]);
+    }
+  });
+
+  // Body is decompressed on the way through, so the upstream length no longer applies
+  if (headers['content-encoding']) {
+    res.removeHeader('Content-Length');
+  }
+
+  // Always set these
+  res.set('Access-Control-Allow-Origin', ctx.config.cors.allowOrigin);
+  res.set('X-Frame-Options', 'ALLOWALL');
+  // Set a permissive referrer policy to ensure referers are sent
+  res.set('Referrer-Policy', 'unsafe-url');
+
+  // Forward Set-Cookie headers if present (for social media login/sessions),
+  // namespaced under the final URL's /proxy/{protocol}/{host} prefix
+  if (headers['set-cookie']) {
+    const cookies = rewriteSetCookieHeaders(headers['set-cookie'], new URL(finalUrl), proxyBase);
+    ctx.sessions.rememberBrowserCookies(context.req.proxySession, cookies);
+    res.append('Set-Cookie', cookies);
+  }
+
+  // Send redirects and refreshes back through the proxy so the browser's address matches the real page
+  if (headers.location) {
+    res.set('Location', rewriteURL(headers.location, finalUrl, proxyBase));
+  }
+  if (headers.refresh) {
+    res.set('Refresh', rewriteRefresh(headers.refresh, finalUrl, proxyBase));
+  }
+}
+
+// Answer from a stored response. outcome - 'HIT' or 'REVALIDATED', reported in X-Proxy-Cache
+function sendCachedResponse(ctx, context, cached, outcome) {
+  const { req, res } = context;
+  const { variant } = cached;
+  const contentType = variant.headers['content-type'] || '';
+
+  if (context.har) context.har.cached(variant, outcome);
+  sendResponseHead(ctx, context, variant.status, variant.headers);
+  res.set('Age', String(Math.floor(currentAge(variant) / 1000)));
+  res.set('X-Proxy-Cache', outcome);
+
+  // The browser's own copy is current
+  if (matchesClientValidators(variant, req.headers)) {
+    return res.status(304).end();
+  }
+
+  if (!isRewritableContentType(contentType, ctx.config.rewrite, cached.url)) {
+    return res.end(variant.body);
+  }
+  sendRewrittenBody(ctx, context, variant.body, contentType, cached);
+}
+
+// Rewrite a buffered HTML/CSS/JS/JSON/XML/manifest body, run the plugins' content hooks and send it.
+// cached - { url, variant } when the body is stored in the cache; rewritten HTML/CSS/JS/XML/manifests are kept there too
+function sendRewrittenBody(ctx, context, body, contentType, cached) {
+  const { res, targetUrl, proxyBase } = context;
+  const plugins = ctx.plugins;
+
+  // Reuse or remember the rewritten output for this proxy base
+  const rewriteOnce = (rewrite) => {
+    if (!cached) return rewrite();
+    const stored = ctx.cache.getRewritten(cached.variant, proxyBase);
+    if (stored !== null) return stored;
+    const output = rewrite();
+    ctx.cache.storeRewritten(cached.url, cached.variant, proxyBase, output);
+    return output;
+  };
+
+  // The rewriters send their input back when they fail - count and log it
+  let type = 'unknown';
+  const rewriteFailed = (err) => {
+    ctx.metrics.rewriteFailures.inc({ type });
+    context.log.warn('Rewrite failed, sending the body unchanged', { type, target: targetUrl, error: err.message });
+  };
+  const decode = () => decodeBuffer(body, contentType, context.log);
+
+  try {
+    // Handle HLS/DASH manifests - checked first, as generic types only count by extension
+    const manifest = ctx.config.rewrite.manifests ? manifestType(contentType, targetUrl) : null;
+    if (manifest) {
+      type = 'manifest';
+      return res.send(rewriteOnce(() => rewriteManifest(decode(), manifest, targetUrl, proxyBase, { onError: rewriteFailed })));
+    }
+
+    // Handle HTML
+    if (contentType.includes('text/html')) {
+      type = 'html';
+      return res.send(rewriteOnce(() => {
+        const html = decode();
+        return rewriteHTML(html, targetUrl, proxyBase, {
+          onDocument: $ => plugins.notify('onHTML', $, context),
+          serviceWorker: ctx.config.serviceWorker.enabled,
+          // Cached pages keep the element hiding rules they were rewritten with
+          elementHiding: ctx.filter ? tokens => ctx.filter.hiddenSelectors(targetUrl, tokens) : null,
+          onError: rewriteFailed
+        });
+      }));
+    }
+
+    // Handle CSS
+    if (contentType.includes('text/css')) {
+      type = 'css';
+      return res.send(rewriteOnce(() => {
+        const css = decode();
+        return plugins.transform('onCSS', rewriteCSS(css, targetUrl, proxyBase, { onError: rewriteFailed }), context);
+      }));
+    }
+
+    // Handle XML - feeds, sitemaps, SVG, XHTML (see lib/xml.js)
+    if (ctx.config.rewrite.xml && isXMLContentType(contentType)) {
+      type = 'xml';
+      return res.send(rewriteOnce(() => rewriteXML(decode(), targetUrl, proxyBase, { onError: rewriteFailed })));
+    }
+
+    // Handle JavaScript - imports, worker scripts and location accesses (see lib/js.js)
+    if (contentType.includes('javascript')) {
+      type = 'js';
+      try {
+        const js = decode();
+        // A SourceMap header would win over the comment pointing at our map
+        const headerMapUrl = res.get('SourceMap') || res.get('X-SourceMap');
+        const fromHeader = headerMapUrl ? new URL(headerMapUrl, targetUrl).href : null;
+        const mapId = ctx.sourceMaps ? ctx.sourceMaps.idFor(targetUrl, proxyBase, js, fromHeader) : null;
+        const sourceMapUrl = mapId ? `${proxyBaseFor(proxyBase, targetUrl)}${SOURCE_MAP_PATH}/${mapId}` : null;
+        const rewritten = rewriteOnce(() => {
+          const output = rewriteJS(js, targetUrl, proxyBase, { sourceMapUrl, onError: rewriteFailed });
+          return plugins.transform('onJS', output, context);
+        });
+        // Only changed scripts reference a map - kept again on cache hits, as it may have been dropped
+        if (mapId && rewritten.includes(sourceMapUrl)) {
+          res.removeHeader('SourceMap');
+          res.removeHeader('X-SourceMap');
+          ctx.sourceMaps.add(mapId, { scriptUrl: targetUrl, proxyBase, source: js, headerMapUrl: fromHeader });
+        }
+        return res.send(rewritten);
+      } catch (e) {
+        rewriteFailed(e);
+        return res.send(body);
+      }
+    }
+
+    // Handle JSON - rewrite URLs in JSON responses (API responses)
+    if (contentType.includes('json')) {
+      type = 'json';
+      try {
+        const text = decode();
+        const json = JSON.parse(text);
+        return res.json(plugins.transform('onJSON', rewriteJSON(json, targetUrl, proxyBase), context));
+      } catch (e) {
+        // Not valid JSON or rewrite failed, send as-is
+        rewriteFailed(e);
+        return res.send(body);
+      }
+    }
+
+    // Anything else that reached the buffered path is sent as-is
+    res.send(body);
+
+  } catch (e) {
+    rewriteFailed(e);
+    res.send(body);
+  }
+}
+
+// Send the source map for a rewritten script, built from the script kept in the store. When the
+// script had its own map it is fetched (through the SSRF guard) and the two are chained; if that
+// fails the edit map alone is sent.
+function serveSourceMap(ctx, req, res) {
+  const entry = ctx.sourceMaps.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Not found', path: req.path });
+  }
+  const proxyBase = getProxyBase(req);
+
+  // Only scripts that parsed and changed are kept, so this rebuilds the map they were sent with
+  const { map: editMap, upstreamMapUrl: commentMapUrl } = rewriteJSSourceMap(entry.source, entry.scriptUrl, entry.proxyBase);
+  const upstreamMapUrl = commentMapUrl || entry.headerMapUrl;
+
+  const send = (upstreamMap) => {
+    let map = editMap;
+    try {
+      map = composeSourceMap(editMap, entry.scriptUrl, upstreamMap, source => rewriteURL(source, entry.scriptUrl, proxyBase));
+    } catch (e) {
+      req.log.warn('Could not chain source maps', { script: entry.scriptUrl, error: e.message });
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    res.json(map);
+  };
+
+  if (!upstreamMapUrl) return send(null);
+
+  try {
+    const inline = decodeDataMap(upstreamMapUrl);
+    if (inline !== undefined) return send(inline);
+  } catch (e) {
+    req.log.warn('Bad inline source map', { script: entry.scriptUrl, error: e.message });
+    return send(null);
+  }
+
+  const mapUrl = upstreamMapUrl;
+  if (!/^https?:/.test(mapUrl) || ctx.guard.checkLiteralHost(new URL(mapUrl).hostname)) {
+    return send(null);
+  }
+
+  const options = {
+    url: mapUrl,
+    encoding: null,
+    gzip: true,
+    timeout: ctx.config.upstream.timeout,
+    strictSSL: ctx.config.upstream.strictSSL,
+    lookup: ctx.guard.lookup
+  };
+  let route;
+  try {
+    route = applyEgressRoute(ctx, options, mapUrl);
+  } catch (e) {
+    req.log.warn('Could not fetch source map', { url: mapUrl, error: e.message });
+    return send(null);
+  }
+  if (route.checkTargets) {
+    return guardProxiedTarget(ctx, options, mapUrl, (err) => {
+      if (err) {
+        req.log.warn('Could not fetch source map', { url: mapUrl, error: err.message });
+        return send(null);
+      }
+      fetchSourceMap(req, options, send);
+    });
+  }
+  fetchSourceMap(req, options, send);
+}
+
+// Fetch and parse an upstream source map; send(map) gets null when that fails
+function fetchSourceMap(req, options, send) {
+  const mapUrl = options.url;
+  request(options, (err, response, body) => {
+    if (err || response.statusCode !== 200) {
+      req.log.warn('Could not fetch source map', { url: mapUrl, error: err ? err.message : undefined, status: err ? undefined : response.statusCode });
+      return send(null);
+    }
+    let upstreamMap = null;
+    try {
+      upstreamMap = JSON.parse(body.toString('utf8').replace(/^\)\]\}'[^\n]*\n/, ''));
+    } catch (e) {
+      req.log.warn('Not a source map', { url: mapUrl, error: e.message });
+    }
+    send(upstreamMap);
+  });
+}
+
+// All proxy routes for one instance - mounted at config.mountPath by createProxyServer
+function createRouter(ctx) {
+  const router = express.Router();
+
+  // Request id, request-scoped logger, and the access log line and metrics once the response is done
+  router.use((req, res, next) => {
+    const started = new Date();
+    req.id = createRequestId(req.headers['x-request-id']);
+    req.log = ctx.log.child({ requestId: req.id });
+    // Set by the routes - see lib/metrics.js for the values
+    req.proxyRoute = 'internal';
+    res.set('X-Request-Id', req.id);
+
+    const bytesSent = countResponseBytes(res);
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const durationMs = Date.now() - started.getTime();
+      ctx.metrics.recordRequest(req.proxyRoute, req.method, res.statusCode, durationMs / 1000);
+      ctx.metrics.responseBytes.inc({}, bytesSent());
+      if (ctx.accessLog) {
+        ctx.accessLog.write({
+          time: started,
+          requestId: req.id,
+          remoteAddr: req.ip,
+          user: req.proxyKeyId || null,
+          method: req.method,
+          // Keys sent in the auth.queryParam parameter stay out of the log, rejected ones included
+          url: ctx.auth ? ctx.auth.redactCredentials(req.originalUrl) : req.originalUrl,
+          httpVersion: req.httpVersion,
+          status: res.statusCode,
+          bytes: bytesSent(),
+          referer: req.headers.referer || null,
+          userAgent: req.headers['user-agent'] || null,
+          route: req.proxyRoute,
+          durationMs
+        });
+      }
+    };
+    // 'close' alone means the client went away before the response was finished
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  });
+
+  // Refuse new work while close() drains in-flight requests
+  router.use((req, res, next) => {
+    if (ctx.closing) {
+      res.set('Connection', 'close');
+      return res.status(503).json({ error: 'Proxy is shutting down' });
+    }
+    next();
+  });
+
+  if (ctx.isolation) {
+    router.use((req, res, next) => {
+      req.proxyIsolation = ctx.isolation;
+      // Null on the bare domain, where pages are never served
+      req.isolationLabel = ctx.isolation.labelOf(req.headers['x-forwarded-host'] || req.get('host'));
+      next();
+    });
+  }
+
+  // CORS headers for all responses
+  router.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', ctx.config.cors.allowOrigin);
+    res.header('Access-Control-Allow-Methods', ctx.config.cors.allowMethods.join(', '));
+    res.header('Access-Control-Allow-Headers', ctx.config.cors.allowHeaders.join(', '));
+    res.header('Access-Control-Allow-Credentials', String(ctx.config.cors.allowCredentials));
+    res.header('Access-Control-Expose-Headers', ctx.config.cors.exposeHeaders.join(', '));
+
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(200);
+    }
+    next();
+  });
+
+  // Root route
+  router.get('/', (req, res) => {
+    res.json({
+      status: 'online',
+      message: 'Web Proxy Server',
+      usage: 'GET /proxy?url=https://example.com'
+    });
+  });
+
+  // Health check
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Client runtime loaded by every rewritten page - public, like the pages' other static assets
+  router.get(RUNTIME_PATH, serveRuntime);
+  if (ctx.config.serviceWorker.enabled) {
+    router.get(SERVICE_WORKER_PATH, serveServiceWorker);
+  }
+
+  // Everything below needs an API key or login when auth is enabled
+  if (ctx.auth) {
+    router.get('/login', ctx.auth.showLogin);
+    // Only the login form is parsed here - proxied bodies are streamed upstream untouched
+    router.post('/login', express.json(), express.urlencoded({ extended: true }), ctx.auth.handleLogin);
+    router.post('/logout', ctx.auth.handleLogout);
+    router.use(ctx.auth.requireAuth);
+  }
+
+  // Effective configuration with secrets redacted
+  router.get('/config', (req, res) => {
+    if (!ctx.config.diagnostics.exposeConfig) {
+      return res.status(404).json({ error: 'Not found', path: req.path });
+    }
+    res.json(redactConfig(ctx.config));
+  });
+
+  // Response cache hit/miss counters
+  router.get('/cache/stats', (req, res) => {
+    if (!ctx.cache) {
+      return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, ...ctx.cache.stats() });
+  });
+
+  // Loaded content filter lists and their rule counts
+  router.get('/filter/stats', (req, res) => {
+    if (!ctx.filter) {
+      return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, lists: ctx.filter.stats() });
+  });
+
+  // Upstream proxies and the result of their last health check
+  router.get('/egress/status', (req, res) => {
+    if (!ctx.egress) {
+      return res.json({ enabled: false });
+    }
+    res.json({ enabled: true, proxies: ctx.egress.status() });
+  });
+
+  // Prometheus metrics (see lib/metrics.js). With auth enabled, scrapers send an API key like
+  // any other client, e.g. through the auth.queryParam parameter.
+  if (ctx.config.metrics.enabled) {
+    router.get('/metrics', (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE);
+      res.send(ctx.metrics.render());
+    });
+  }
+
+  // Source maps for rewritten scripts, fetched by devtools
+  if (ctx.sourceMaps) {
+    router.get(`${SOURCE_MAP_PATH}/:id`, (req, res) => serveSourceMap(ctx, req, res));
+  }
+
+  // Everything below runs inside a per-client proxy session with its own cookie jar
+  router.use(ctx.sessions.attachSession);
+
+  // Wipe the upstream cookies stored for the current session, in the jar and in the browser
+  router.post('/session/clear', (req, res) => {
+    const expired = ctx.sessions.clearSessionCookies(req.proxySession);
+    if (expired.length) res.append('Set-Cookie', expired);
+    res.json({ status: 'cleared' });
+  });
+
+  // Main proxy endpoint - handles both query-based (?url=) and path-based (/protocol/host/path)
+  router.all('/proxy*', (req, res, next) => {
+    let targetUrl = null;
+
+    // Extract path after /proxy
+    const fullPath = req.path; // e.g., '/proxy/https/example.com/page' or '/proxy'
+
+    // Try to match path-based format: /proxy/https/example.com/path
+    const pathMatch = fullPath.match(/^\/proxy\/(https?)\/([\w.-]+(?:\:\d+)?)(.*)$/);
+    req.proxyRoute = pathMatch ? 'path' : 'query';
+
+    if (pathMatch) {
+      const [, protocol, host, path] = pathMatch;
+      const queryString = req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : '';
+      targetUrl = `${protocol}://${host}${path || '/'}${queryString}`;
+    }
+    // Fall back to query-based format: /proxy?url=https://example.com
+    else if (req.query.url) {
+      targetUrl = req.query.url;
+      try {
+        targetUrl = decodeURIComponent(targetUrl);
+      } catch (e) {}
+    }
+
+    // If this is just /proxy with no params, return error
+    if (!targetUrl) {
+      return res.status(400).json({
+        error: 'Missing URL',
+        usage: '/proxy?url=https://example.com OR /proxy/https/example.com/path'
+      });
+    }
+
+    // Validate URL
+    try {
+      new URL(targetUrl);
+    } catch (e) {
+      return res.status(400).json({
+        error: 'Invalid URL',
+        provided: targetUrl
+      });
+    }
+
+    const proxyBase = getProxyBase(req);
+
+    // Pages only run on the subdomain labelled for their target. Rewritten links lead there
+    // directly; a page opened from the bare domain (the start form, a typed /proxy URL) or
+    // through a URL the runtime couldn't label is moved once. Subresources are served anywhere.
+    if (ctx.isolation && isDocumentRequest(req) && req.isolationLabel !== labelForHost(new URL(targetUrl).hostname)) {
+      const isolatedBase = getProxyBase(req, targetUrl);
+      req.log.debug('Moving page to its own origin', { target: targetUrl, base: isolatedBase });
+      return res.redirect(307, `${isolatedBase}${req.originalUrl.slice(req.baseUrl.length)}`);
+    }
+
+    req.log.debug('Proxying', { method: req.method, target: targetUrl, route: req.proxyRoute });
+
+    // Parse target URL to get origin
+    const targetUrlObj = new URL(targetUrl);
+
+    // Request options
+    const options = {
+      url: targetUrl,
+      method: req.method,
+      headers: {
+        'User-Agent': req.headers['user-agent'] || ctx.config.upstream.userAgent,
+        'Accept': req.headers.accept || 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
+        'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Referer': `${targetUrlObj.protocol}//${targetUrlObj.host}/`,
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1',
+        'Sec-Fetch-Dest': req.headers['sec-fetch-dest'] || 'document',
+        'Sec-Fetch-Mode': req.headers['sec-fetch-mode'] || 'navigate',
+        'Sec-Fetch-Site': 'same-origin',
+        'Sec-Fetch-User': '?1'
+      },
+      ...upstreamRequestOptions(ctx, req)
+    };
+
+    // Forward cookies if present - only this host's namespaced browser cookies, under their original names
+    const forwardedCookie = toUpstreamCookieHeader(req.headers.cookie, targetUrlObj, req.proxySession.jar);
+    if (forwardedCookie) {
+      options.headers['Cookie'] = forwardedCookie;
+    }
+
+    // Forward authorization headers (for social media APIs)
+    if (req.headers.authorization) {
+      options.headers['Authorization'] = req.headers.authorization;
+    }
+
+    forwardRangeHeaders(req, options);
+    forwardCacheHeaders(req, options);
+    forwardBodyHeaders(req, options);
+
+    // Make the request
+    proxyRequest(ctx, options, req, res, targetUrl, proxyBase, pathMatch ? 'path' : 'query');
+  });
+
+  // Catch-all route - handles dynamic JS requests (fetch, XHR, forms) by extracting origin from referer
+  router.all('*', (req, res) => {
+    // Proxy this path on origin (protocol://host), found from the referer or the subdomain
+    const proxyToOrigin = (origin, how) => {
+      const targetUrl = `${origin}${req.path}${req.url.includes('?') ? req.url.substring(req.url.indexOf('?')) : ''}`;
+
+      req.log.debug(`Catch-all reconstructed target from ${how}`, { method: req.method, target: targetUrl, referer });
+      req.proxyRoute = 'catchall_hit';
+
+      const proxyBase = getProxyBase(req);
+      const options = {
+        url: targetUrl,
+        method: req.method,
+        headers: {
+          'User-Agent': req.headers['user-agent'] || ctx.config.upstream.userAgent,
+          'Accept': req.headers.accept || '*/*',
+          'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Referer': `${origin}/`,
+          'Origin': origin
+        },
+        ...upstreamRequestOptions(ctx, req)
+      };
+
+      // Forward authorization and cookies for API requests
+      if (req.headers.authorization) {
+        options.headers['Authorization'] = req.headers.authorization;
+      }
+      const forwardedCookie = toUpstreamCookieHeader(req.headers.cookie, new URL(targetUrl), req.proxySession.jar);
+      if (forwardedCookie) {
+        options.headers['Cookie'] = forwardedCookie;
+      }
+      forwardRangeHeaders(req, options);
+      forwardCacheHeaders(req, options);
+      forwardBodyHeaders(req, options);
+
+      return proxyRequest(ctx, options, req, res, targetUrl, proxyBase, 'catchall');
+    };
+
+    // Try to extract origin from referer for JavaScript-generated requests
+    const referer = req.headers.referer || req.headers.referrer;
+
+    if (referer) {
+      try {
+        const refererUrl = new URL(referer);
+
+        // Referer path relative to where the proxy is mounted
+        const refererPath = refererUrl.pathname.startsWith(req.baseUrl)
+          ? refererUrl.pathname.slice(req.baseUrl.length)
+          : refererUrl.pathname;
+
+        // Check if referer is a proxied URL in path format: /proxy/https/example.com/...
+        const pathMatch = refererPath.match(/^\/proxy\/(https?)\/([\w.-]+(?:\:\d+)?)(\/.*)?$/);
+
+        if (pathMatch) {
+          const [, protocol, host] = pathMatch;
+          return proxyToOrigin(`${protocol}://${host}`, 'referer path');
+        }
+
+        // Also check if referer contains query-based format: ?url=https://example.com
+        const urlParam = refererUrl.searchParams.get('url');
+        if (urlParam && refererUrl.pathname.includes('/proxy')) {
+          try {
+            const baseUrl = new URL(urlParam);
+            return proxyToOrigin(`${baseUrl.protocol}//${baseUrl.host}`, 'referer query');
+          } catch (e) {
+            req.log.debug('Catch-all could not use the referer url parameter', { referer, error: e.message });
+          }
+        }
+
+      } catch (e) {
+        req.log.debug('Catch-all could not parse the referer', { referer, error: e.message });
+      }
+    }
+
+    // On a target's subdomain the label names the host - for navigations that send no referer,
+    // such as typed URLs or rel=noreferrer links. Labels don't keep the scheme or port, so https
+    // on the default port is assumed.
+    const labelHost = req.isolationLabel ? hostForLabel(req.isolationLabel) : null;
+    if (labelHost) {
+      return proxyToOrigin(`https://${labelHost}`, 'subdomain');
+    }
+
+    // No valid referer found
+    req.proxyRoute = 'catchall_miss';
+    req.log.debug('Catch-all found no proxied referer', { method: req.method, path: req.path, referer });
+    res.status(404).json({
+      error: 'Not found',
+      path: req.path,
+      message: 'This path requires a valid referer. Use /proxy?url=https://example.com or /proxy/https/example.com/path to start browsing.'
+    });
+  });
+
+  // 404 handler
+  router.use((req, res) => {
+    res.status(404).json({
+      error: 'Not found',
+      path: req.path,
+      usage: '/proxy?url=https://example.com'
+    });
+  });
+
+  // Error handler
+  router.use((err, req, res, next) => {
+    req.log.error('Unhandled error', { error: err.message, stack: err.stack });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: err.message
+    });
+  });
+
+  return router;
+}
+
+// Stop accepting work, wait for in-flight upstream requests to finish (up to
+// shutdown.drainTimeout), then release listeners, tunnels and session timers
+function closeProxy(ctx, servers) {
+  if (ctx.closePromise) return ctx.closePromise;
+
+  ctx.closing = true;
+  servers.forEach(server => server.close());
+  ctx.tunnels.forEach(closeTunnel => closeTunnel());
+
+  ctx.closePromise = new Promise(resolve => {
+    const finish = () => {
+      clearTimeout(timer);
+      ctx.onDrained = null;
+      ctx.sessions.close();
+      if (ctx.egress) ctx.egress.close();
+      if (ctx.filter) ctx.filter.close();
+      servers.forEach(server => {
+        if (server.closeIdleConnections) server.closeIdleConnections();
+      });
+      // Resolve once the access log and HAR file are flushed
+      Promise.all([ctx.accessLog && ctx.accessLog.close(), ctx.harRecorder && ctx.harRecorder.close()]).then(() => resolve());
+    };
+
+    const timer = setTimeout(() => {
+      ctx.log.warn('Aborting in-flight requests after drain timeout', { inFlight: ctx.inFlight.size });
+      ctx.inFlight.forEach(upstream => upstream.abort());
+      finish();
+    }, ctx.config.shutdown.drainTimeout);
+
+    ctx.onDrained = finish;
+    if (ctx.inFlight.size === 0) finish();
+  });
+
+  return ctx.closePromise;
+}
+
+// Build a self-contained proxy instance.
+//
+// options - any config option (see lib/config.js, e.g. { mountPath, upstream: { timeout },
+//   rewrite: { js: false } }) plus:
+//   plugins                  - plugin objects run after the built-in ones (see lib/plugins.js)
+//   hooks                    - shorthand for a single plugin that applies to every host
+//   cookieStore(sessionId)   - tough-cookie Store backing each session's jar
+//
+// Returns an Express app usable on its own (proxy.listen(...)) or mounted in another app
+// (app.use(proxy)). proxy.handleUpgrade must be attached to the 'upgrade' event of servers
+// not created through proxy.listen. proxy.close() drains in-flight requests and resolves.
+// proxy.log is the instance's logger (see lib/logger.js).
+function createProxyServer(options = {}) {
+  const { plugins = [], hooks, cookieStore, ...settings } = options;
+  const config = createConfig(settings);
+
+  const builtins = config.builtinPlugins.youtube ? [youtubePlugin] : [];
+  const custom = hooks ? [...plugins, { name: 'hooks', ...hooks }] : plugins;
+
+  const isolation = config.isolation.enabled ? createIsolation(config.isolation) : null;
+  const log = createLogger(config.log);
+  const guard = createTargetGuard(config.guard);
+
+  const ctx = {
+    config,
+    log,
+    accessLog: createAccessLog(config.log, log),
+    metrics: createMetrics({
+      inFlight: () => ctx.inFlight.size,
+      tunnels: () => ctx.tunnels.size
+    }),
+    plugins: createPluginPipeline([...builtins, ...custom], log.child({ component: 'plugin' })),
+    mountPath: config.mountPath,
+    sessions: createSessionStore({ ttl: config.session.ttl, cookieStore }),
+    guard,
+    egress: config.egress.proxies.length
+      ? createEgress(config.egress, { guard, timeout: config.upstream.timeout }, log)
+      : null,
+    auth: config.auth.enabled ? createAuth(config.auth, isolation ? isolation.domain : '', log) : null,
+    isolation,
+    filter: config.filter.enabled ? createFilter(config.filter, log) : null,
+    cache: config.cache.enabled ? createCache(config.cache, log) : null,
+    harRecorder: config.har.mode === 'record' ? createHarRecorder(config.har, log) : null,
+    harReplay: config.har.mode === 'replay' ? createHarReplay(config.har, log) : null,
+    sourceMaps: config.rewrite.sourceMaps ? createSourceMapStore() : null,
+    inFlight: new Set(),
+    tunnels: new Set(),
+    closing: false,
+    onDrained: null
+  };
+
+  const app = express();
+  app.use(config.mountPath, createRouter(ctx));
+
+  const servers = [];
+  const listen = app.listen.bind(app);
+
+  app.config = config;
+  app.log = log;
+  app.handleUpgrade = createUpgradeHandler(ctx);
+  app.listen = (...args) => {
+    const server = listen(...args);
+    // WebSocket tunnelling for /proxy/ws/... and /proxy/wss/...
+    server.on('upgrade', app.handleUpgrade);
+    servers.push(server);
+    return server;
+  };
+  app.close = () => closeProxy(ctx, servers);
+
+  return app;
+}
+
+module.exports = {
+  createProxyServer,
+  getProxyBase
+};
@@ -0,0 +1,380 @@
+const cheerio = require('cheerio');
+const url = require('url');
+const { rewriteCSSURLs } = require('./css');
+const { rewriteJavaScript } = require('./js');
+const { rewriteDASHManifest, rewriteHLSPlaylist } = require('./manifests');
+const { rewriteXMLDocument } = require('./xml');
+const { proxyBaseFor } = require('./isolation');
+const { runtimeScriptAttributes } = require('./runtime');
+
+// Rewrite URLs in content - using path-based encoding for self-describing URLs. With origin
+// isolation proxyBase has '*' for the subdomain, which becomes the target's label.
+function rewriteURL(originalUrl, baseUrl, proxyBase) {
+  if (!originalUrl) return originalUrl;
+
+  // Trim whitespace
+  originalUrl = originalUrl.trim();
+  if (!originalUrl) return originalUrl;
+
+  // Skip certain URL types
+  if (originalUrl.startsWith('data:') ||
+      originalUrl.startsWith('javascript:') ||
+      originalUrl.startsWith('mailto:') ||
+      originalUrl.startsWith('tel:') ||
+      originalUrl === '#' ||
+      originalUrl.startsWith('blob:')) {
+    return originalUrl;
+  }
+
+  try {
+    let absoluteUrl;
+
+    // Convert relative URLs to absolute
+    if (originalUrl.startsWith('//')) {
+      absoluteUrl = 'https:' + originalUrl;
+    } else if (originalUrl.startsWith('http://') || originalUrl.startsWith('https://')) {
+      absoluteUrl = originalUrl;
+    } else {
+      absoluteUrl = url.resolve(baseUrl, originalUrl);
+    }
+
+    // Parse the absolute URL
+    const parsedUrl = new URL(absoluteUrl);
+
+    // Encode URL as path: /proxy/{protocol}/{host}{path}{search}{hash}
+    // This makes URLs self-describing without relying on referers
+    const protocol = parsedUrl.protocol.replace(':', ''); // http or https
+    const encodedPath = `${proxyBaseFor(proxyBase, parsedUrl.href)}/proxy/${protocol}/${parsedUrl.host}${parsedUrl.pathname}${parsedUrl.search}${parsedUrl.hash}`;
+
+    return encodedPath;
+  } catch (e) {
+    // Not a URL after all - leave it as it is
+    return originalUrl;
+  }
+}
+
+// Rewrite the URL in a Refresh header or <meta http-equiv="refresh"> value, e.g. "5; url=/next"
+function rewriteRefresh(value, baseUrl, proxyBase) {
+  if (!value) return value;
+
+  const match = value.match(/^\s*(\d+(?:\.\d*)?)\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)(.*?)\2\s*$/i);
+  if (!match || !match[3]) return value;
+
+  return `${match[1]}; url=${rewriteURL(match[3], baseUrl, proxyBase)}`;
+}
+
+// URL-valued attributes per element, from the HTML spec's attribute index plus the SVG ones
+// browsers fetch. Kinds: 'url' - a single URL, 'urls' - space-separated URLs,
+// 'srcset' - candidate list, 'meta' - <meta content>, rewritten for refreshes and og:* URLs.
+const URL_ATTRIBUTES = {
+  a: { href: 'url', 'xlink:href': 'url', ping: 'urls' },
+  area: { href: 'url', ping: 'urls' },
+  audio: { src: 'url' },
+  base: { href: 'url' },
+  blockquote: { cite: 'url' },
+  body: { background: 'url' },
+  button: { formaction: 'url' },
+  del: { cite: 'url' },
+  embed: { src: 'url' },
+  feimage: { href: 'url', 'xlink:href': 'url' },
+  form: { action: 'url' },
+  frame: { src: 'url', longdesc: 'url' },
+  html: { manifest: 'url' },
+  iframe: { src: 'url', longdesc: 'url' },
+  image: { href: 'url', 'xlink:href': 'url' },
+  img: { src: 'url', srcset: 'srcset', longdesc: 'url' },
+  input: { src: 'url', formaction: 'url' },
+  ins: { cite: 'url' },
+  link: { href: 'url', imagesrcset: 'srcset' },
+  meta: { content: 'meta' },
+  object: { data: 'url', codebase: 'url' },
+  q: { cite: 'url' },
+  script: { src: 'url', href: 'url', 'xlink:href': 'url' },
+  source: { src: 'url', srcset: 'srcset' },
+  table: { background: 'url' },
+  td: { background: 'url' },
+  th: { background: 'url' },
+  track: { src: 'url' },
+  use: { href: 'url', 'xlink:href': 'url' },
+  video: { src: 'url', poster: 'url' }
+};
+
+// <meta property/name> values that hold URLs
+const META_URL_PROPERTIES = [
+  'og:url', 'og:image', 'og:image:url', 'og:image:secure_url',
+  'og:video', 'og:video:url', 'og:video:secure_url',
+  'og:audio', 'og:audio:url', 'og:audio:secure_url',
+  'twitter:image', 'twitter:player'
+];
+
+// <script type> values the browser runs as JavaScript - other types (JSON, import maps,
+// templates) are data and are left alone. Matched without parameters, lower-cased.
+const JAVASCRIPT_TYPE = /^(|module|(application|text)\/(x-)?(java|ec)script|text\/javascript1\.[0-5]|text\/(jscript|livescript))$/;
+
+function isJavaScriptType(type) {
+  return JAVASCRIPT_TYPE.test((type || '').split(';')[0].trim().toLowerCase());
+}
+
+function resolveURL(relative, baseUrl) {
+  try {
+    return new URL(relative.trim(), baseUrl).href;
+  } catch (e) {
+    return baseUrl;
+  }
+}
+
+// Split a srcset into [url, descriptors] candidates. URLs may contain commas (data: URIs),
+// so a comma only ends a candidate after the URL or outside descriptor parentheses.
+function parseSrcset(srcset) {
+  const candidates = [];
+  let i = 0;
+
+  while (i < srcset.length) {
+    while (i < srcset.length && /[\s,]/.test(srcset[i])) i++;
+    if (i >= srcset.length) break;
+
+    let candidateUrl = '';
+    while (i < srcset.length && !/\s/.test(srcset[i])) candidateUrl += srcset[i++];
+
+    let descriptors = '';
+    if (/,+$/.test(candidateUrl)) {
+      candidateUrl = candidateUrl.replace(/,+$/, '');
+    } else {
+      let depth = 0;
+      while (i < srcset.length && (srcset[i] !== ',' || depth > 0)) {
+        if (srcset[i] === '(') depth++;
+        if (srcset[i] === ')') depth--;
+        descriptors += srcset[i++];
+      }
+      i++;
+    }
+    candidates.push([candidateUrl, descriptors.trim()]);
+  }
+  return candidates;
+}
+
+function rewriteSrcset(srcset, baseUrl, proxyBase) {
+  return parseSrcset(srcset)
+    .map(([candidateUrl, descriptors]) => [rewriteURL(candidateUrl, baseUrl, proxyBase), descriptors].filter(Boolean).join(' '))
+    .join(', ');
+}
+
+// Rewrite one attribute value of the given kind (see URL_ATTRIBUTES)
+function rewriteAttribute(kind, value, $element, baseUrl, proxyBase) {
+  switch (kind) {
+    case 'url':
+      // Fragment-only references (#top, <use href="#icon">) stay inside the current document
+      return value.trim().startsWith('#') ? value : rewriteURL(value, baseUrl, proxyBase);
+    case 'urls':
+      return value.trim().split(/\s+/).map(item => rewriteURL(item, baseUrl, proxyBase)).join(' ');
+    case 'srcset':
+      return rewriteSrcset(value, baseUrl, proxyBase);
+    case 'meta': {
+      // Keep meta refreshes inside the proxy
+      if (($element.attr('http-equiv') || '').toLowerCase() === 'refresh') {
+        return rewriteRefresh(value, baseUrl, proxyBase);
+      }
+      const property = ($element.attr('property') || $element.attr('name') || '').toLowerCase();
+      return META_URL_PROPERTIES.includes(property) ? rewriteURL(value, baseUrl, proxyBase) : value;
+    }
+    default:
+      return value;
+  }
+}
+
+// The content rewriters below send their input back unchanged when rewriting fails, and report
+// the error to options.onError(err) when given one.
+
+// Rewrite HTML content.
+// options.onDocument($) - edit the rewritten document before it is serialized
+// options.serviceWorker - have the client runtime install the proxy's service worker
+// options.elementHiding(tokens) - given the '#id' and '.class' tokens the document uses, return
+//   the selectors of elements to hide (see lib/filter.js)
+function rewriteHTML(html, baseUrl, proxyBase, options = {}) {
+  try {
+    const $ = cheerio.load(html, { decodeEntities: false });
+
+    // Remove problematic headers and policies
+    $('meta[http-equiv="Content-Security-Policy"]').remove();
+    $('meta[http-equiv="X-Frame-Options"]').remove();
+    $('meta[name="referrer"]').remove();  // Remove referrer policy meta tags
+
+    // Add permissive referrer policy
+    $('head').prepend(`
+      <meta name="referrer" content="unsafe-url">
+    `);
+
+    // A <base href> changes how every relative URL in the document resolves
+    const base = $('base[href]').first().attr('href');
+    const documentBase = base ? resolveURL(base, baseUrl) : baseUrl;
+
+    // Rewrite every URL-valued attribute listed in URL_ATTRIBUTES
+    $('*').each(function() {
+      const attributes = URL_ATTRIBUTES[this.tagName.toLowerCase()];
+      if (!attributes) return;
+
+      Object.keys(attributes).forEach(name => {
+        const value = $(this).attr(name);
+        if (value === undefined || value === '') return;
+
+        const kind = attributes[name];
+        const resolveAgainst = this.tagName.toLowerCase() === 'base' ? baseUrl : documentBase;
+        const rewritten = rewriteAttribute(kind, value, $(this), resolveAgainst, proxyBase);
+        if (rewritten !== value) {
+          $(this).attr(name, rewritten);
+        }
+      });
+    });
+
+    // Subresource integrity hashes can't match once the resources are rewritten
+    $('[integrity]').removeAttr('integrity');
+
+    // Load the client runtime before any of the page's own scripts (see lib/client/runtime.js).
+    // Added after the attribute pass, which would otherwise treat its URL as a page URL.
+    $('head').prepend($('<script></script>').attr(runtimeScriptAttributes(proxyBase, baseUrl, options.serviceWorker)));
+
+    // Rewrite <style> blocks and inline style attributes
+    $('style').each(function() {
+      const css = $(this).text();
+      if (css) {
+        $(this).text(rewriteCSS(css, documentBase, proxyBase, { onError: options.onError }));
+      }
+    });
+    $('[style]').each(function() {
+      $(this).attr('style', rewriteCSS($(this).attr('style'), documentBase, proxyBase, { onError: options.onError }));
+    });
+
+    // Rewrite inline scripts, as rewriteJS does for script files
+    $('script:not([src])').each(function() {
+      const js = $(this).text();
+      if (js && isJavaScriptType($(this).attr('type'))) {
+        $(this).text(rewriteJS(js, documentBase, proxyBase, { onError: options.onError }));
+      }
+    });
+
+    // Element hiding - one rule per selector, so a selector the browser rejects only drops itself
+    if (options.elementHiding) {
+      const tokens = new Set();
+      $('[id], [class]').each(function() {
+        const id = $(this).attr('id');
+        if (id) tokens.add(`#${id}`);
+        ($(this).attr('class') || '').split(/\s+/).forEach(name => name && tokens.add(`.${name}`));
+      });
+      const selectors = options.elementHiding([...tokens]);
+      if (selectors.length) {
+        const css = selectors.map(selector => `${selector} { display: none !important; }`).join('\n');
+        $('head').append($('<style></style>').attr('data-proxy-filter', '').text(css));
+      }
+    }
+
+    if (options.onDocument) {
+      options.onDocument($);
+    }
+
+    return $.html();
+  } catch (err) {
+    if (options.onError) options.onError(err);
+    return html;
+  }
+}
+
+// Rewrite CSS - stylesheets, <style> contents and style attributes (see lib/css.js)
+function rewriteCSS(css, baseUrl, proxyBase, options = {}) {
+  try {
+    return rewriteCSSURLs(css, cssUrl => rewriteURL(cssUrl, baseUrl, proxyBase));
+  } catch (err) {
+    if (options.onError) options.onError(err);
+    return css;
+  }
+}
+
+// Rewrite URLs in JavaScript (see lib/js.js). Scripts that don't parse are sent unchanged.
+// options.sourceMapUrl - where the source map of a changed script is served (see
+// rewriteJSSourceMap); the script then references it
+function rewriteJS(js, baseUrl, proxyBase, options = {}) {
+  let result;
+  try {
+    result = rewriteJavaScript(js, baseUrl, jsUrl => rewriteURL(jsUrl, baseUrl, proxyBase));
+  } catch (err) {
+    if (options.onError) options.onError(err);
+    return js;
+  }
+
+  if (!result.changed || !options.sourceMapUrl) return result.code;
+  const separator = result.code.endsWith('\n') ? '' : '\n';
+  return `${result.code}${separator}//# sourceMappingURL=${options.sourceMapUrl}\n`;
+}
+
+// The edit map of what rewriteJS makes of js, rebuilt from the source when devtools ask for it,
+// with the script's own map URL: { map, upstreamMapUrl }. map is null when nothing changed.
+// Throws the parser's SyntaxError when the source doesn't parse.
+function rewriteJSSourceMap(js, baseUrl, proxyBase) {
+  const result = rewriteJavaScript(js, baseUrl, jsUrl => rewriteURL(jsUrl, baseUrl, proxyBase), { map: true });
+  return { map: result.map, upstreamMapUrl: result.upstreamMapUrl };
+}
+
+// Rewrite feeds, sitemaps, OPML, SVG and XHTML (see lib/xml.js)
+function rewriteXML(xml, baseUrl, proxyBase, options = {}) {
+  try {
+    return rewriteXMLDocument(xml, baseUrl, {
+      url: (value, base) => rewriteURL(value, base, proxyBase),
+      css: (css, base) => rewriteCSS(css, base, proxyBase, options),
+      htmlAttribute: (tagName, name, value, attribs, base) => {
+        const kind = (URL_ATTRIBUTES[tagName] || {})[name];
+        // rewriteAttribute only reads other attributes from the element
+        const $element = { attr: attribute => attribs[attribute] };
+        return kind ? rewriteAttribute(kind, value, $element, base, proxyBase) : value;
+      }
+    });
+  } catch (err) {
+    if (options.onError) options.onError(err);
+    return xml;
+  }
+}
+
+// Rewrite an HLS playlist or DASH MPD (see lib/manifests.js). type - 'hls' or 'dash'
+function rewriteManifest(manifest, type, baseUrl, proxyBase, options = {}) {
+  const rewrite = manifestUrl => rewriteURL(manifestUrl, baseUrl, proxyBase);
+  try {
+    return type === 'dash'
+      ? rewriteDASHManifest(manifest, baseUrl, rewrite)
+      : rewriteHLSPlaylist(manifest, baseUrl, rewrite);
+  } catch (err) {
+    if (options.onError) options.onError(err);
+    return manifest;
+  }
+}
+
+// Recursively rewrite URLs in parsed JSON (API responses)
+function rewriteJSON(obj, baseUrl, proxyBase) {
+  if (typeof obj === 'string') {
+    // Check if string looks like a URL
+    if (obj.match(/^https?:\/\//)) {
+      return rewriteURL(obj, baseUrl, proxyBase);
+    }
+    return obj;
+  }
+  if (Array.isArray(obj)) {
+    return obj.map(item => rewriteJSON(item, baseUrl, proxyBase));
+  }
+  if (obj && typeof obj === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      result[key] = rewriteJSON(value, baseUrl, proxyBase);
+    }
+    return result;
+  }
+  return obj;
+}
+
+module.exports = {
+  rewriteURL,
+  rewriteRefresh,
+  rewriteHTML,
+  rewriteCSS,
+  rewriteJS,
+  rewriteJSSourceMap,
+  rewriteJSON,
+  rewriteManifest,
+  rewriteXML
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { proxyBaseFor } = require('./isolation');
+
+// Where the client runtime and service worker are served, relative to the proxy's mount path
+const RUNTIME_PATH = '/__proxy/runtime.js';
+const SERVICE_WORKER_PATH = '/__proxy/sw.js';
+
+const RUNTIME_SOURCE = fs.readFileSync(path.join(__dirname, 'client', 'runtime.js'), 'utf8');
+const SERVICE_WORKER_SOURCE = fs.readFileSync(path.join(__dirname, 'client', 'sw.js'), 'utf8');
+// Content hash - versioned URLs can be cached forever and change whenever the runtime does
+const RUNTIME_VERSION = crypto.createHash('sha256').update(RUNTIME_SOURCE).digest('hex').slice(0, 12);
+
+// Attributes for the <script> that loads the runtime into a rewritten page.
+// serviceWorker - also have the runtime register the service worker (serviceWorker.enabled)
+// An isolated proxyBase (see lib/isolation.js) is passed on as data-isolated-base, so the
+// runtime can point URLs at their targets' subdomains too.
+function runtimeScriptAttributes(proxyBase, targetUrl, serviceWorker) {
+  const pageBase = proxyBaseFor(proxyBase, targetUrl);
+  const attributes = {
+    src: `${pageBase}${RUNTIME_PATH}?v=${RUNTIME_VERSION}`,
+    'data-proxy-base': pageBase,
+    'data-target-url': targetUrl
+  };
+  if (pageBase !== proxyBase) {
+    attributes['data-isolated-base'] = proxyBase;
+  }
+  if (serviceWorker) {
+    const isolated = pageBase !== proxyBase ? `?isolated=${encodeURIComponent(proxyBase)}` : '';
+    attributes['data-service-worker'] = `${pageBase}${SERVICE_WORKER_PATH}${isolated}`;
+  }
+  return attributes;
+}
+
+// Route handler for RUNTIME_PATH
+function serveRuntime(req, res) {
+  const versioned = req.query.v === RUNTIME_VERSION;
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', versioned ? 'public, max-age=31536000, immutable' : 'public, max-age=300');
+  res.set('ETag', `"${RUNTIME_VERSION}"`);
+  res.send(RUNTIME_SOURCE);
+}
+
+// Route handler for SERVICE_WORKER_PATH. The script lives outside /proxy/ but controls it,
+// which Service-Worker-Allowed permits. Browsers revalidate it themselves on every navigation.
+function serveServiceWorker(req, res) {
+  res.set('Content-Type', 'application/javascript; charset=utf-8');
+  res.set('Cache-Control', 'no-cache');
+  res.set('Service-Worker-Allowed', `${req.baseUrl}/proxy/`);
+  res.send(SERVICE_WORKER_SOURCE);
+}
+
+module.exports = {
+  RUNTIME_PATH,
+  RUNTIME_VERSION,
+  SERVICE_WORKER_PATH,
+  runtimeScriptAttributes,
+  serveRuntime,
+  serveServiceWorker
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const request = require('request');
+const { expiredCookie, matchingCookiePaths, parseCookieHeader, splitScopedName } = require('./cookies');
+
+// Proxy-owned cookie identifying the client's session - never forwarded upstream
+const SESSION_COOKIE = '__proxy_sid';
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Per-instance session registry. Each session owns a server-side cookie jar for upstream cookies.
+// options.ttl - idle time before a session and its cookies are dropped (session.ttl)
+// options.cookieStore - optional (sessionId) => tough-cookie Store used to back each jar.
+//   The store must be synchronous, like tough-cookie's MemoryCookieStore.
+function createSessionStore(options = {}) {
+  const ttl = options.ttl || 30 * 60 * 1000;
+
+  // Session id -> { id, jar, browserCookies, lastSeen }. browserCookies maps each namespaced
+  // "name@scope" cookie the browser holds for the session to the Paths it may be stored under.
+  const sessions = new Map();
+
+  const newJar = (id) => request.jar(options.cookieStore ? options.cookieStore(id) : undefined);
+
+  function createSession() {
+    const id = crypto.randomBytes(24).toString('hex');
+    const session = {
+      id,
+      jar: newJar(id),
+      browserCookies: new Map(),
+      lastSeen: Date.now()
+    };
+    sessions.set(id, session);
+    return session;
+  }
+
+  // Look up a live session from the request's cookies (also used for WebSocket upgrades)
+  function getSession(req) {
+    const entry = parseCookieHeader(req.headers.cookie).find(([name]) => name === SESSION_COOKIE);
+    if (!entry) return null;
+
+    const session = sessions.get(entry[1]);
+    if (!session) return null;
+
+    if (Date.now() - session.lastSeen > ttl) {
+      sessions.delete(session.id);
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Middleware - attach req.proxySession, issuing a new session cookie when needed
+  function attachSession(req, res, next) {
+    let session = getSession(req);
+
+    if (!session) {
+      session = createSession();
+      const cookiePath = req.baseUrl || '/';
+      res.append('Set-Cookie', `${SESSION_COOKIE}=${session.id}; Path=${cookiePath}; HttpOnly; SameSite=Lax`);
+    }
+
+    req.proxySession = session;
+    noteRequestCookies(session, req);
+    next();
+  }
+
+  // Record the namespaced cookies the proxy hands the browser (rewritten Set-Cookie values)
+  function rememberBrowserCookies(session, setCookies) {
+    if (!session) return;
+    setCookies.forEach(setCookie => {
+      const name = setCookie.slice(0, setCookie.indexOf('='));
+      const path = (setCookie.match(/;\s*Path=([^;]*)/i) || [])[1];
+      if (!path) return;
+      if (!session.browserCookies.has(name)) session.browserCookies.set(name, new Set());
+      session.browserCookies.get(name).add(path);
+    });
+  }
+
+  // Page scripts set namespaced cookies through the client runtime, out of the proxy's sight.
+  // The first request carrying one records every Path it could have been sent with.
+  function noteRequestCookies(session, req) {
+    const pathname = req.originalUrl.split('?')[0];
+    parseCookieHeader(req.headers.cookie).forEach(([name]) => {
+      if (!splitScopedName(name) || session.browserCookies.has(name)) return;
+      session.browserCookies.set(name, new Set(matchingCookiePaths(pathname)));
+    });
+  }
+
+  // Wipe the upstream cookies stored for a session. Returns the Set-Cookie headers that
+  // expire the browser's namespaced copies, which would otherwise still be sent upstream.
+  function clearSessionCookies(session) {
+    const expired = [];
+    session.browserCookies.forEach((paths, name) => {
+      paths.forEach(path => expired.push(expiredCookie(name, path)));
+    });
+    session.jar = newJar(session.id);
+    session.browserCookies = new Map();
+    return expired;
+  }
+
+  // Drop sessions that have been idle longer than the TTL
+  function sweepExpiredSessions() {
+    const now = Date.now();
+    sessions.forEach((session, id) => {
+      if (now - session.lastSeen > ttl) {
+        sessions.delete(id);
+      }
+    });
+  }
+
+  const sweeper = setInterval(sweepExpiredSessions, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return {
+    attachSession,
+    getSession,
+    clearSessionCookies,
+    rememberBrowserCookies,
+    close() {
+      clearInterval(sweeper);
+      sessions.clear();
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  createSessionStore
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const remapping = require('@ampproject/remapping');
+
+// Where the maps for rewritten scripts are served, relative to the proxy's mount path
+const SOURCE_MAP_PATH = '/__proxy/sourcemap';
+
+// Rewritten scripts kept track of - each map is only needed while devtools are open on the page
+const MAX_SOURCE_MAPS = 500;
+// Total size of the script sources kept for building maps
+const MAX_SOURCE_MAP_BYTES = 32 * 1024 * 1024;
+
+// Scripts whose source maps devtools may ask for, kept in memory with the least recently used
+// dropped first. Entries are { scriptUrl, proxyBase, source, headerMapUrl }; the map itself is
+// built from the source when it is requested (see rewriteJSSourceMap in lib/rewrite.js).
+function createSourceMapStore() {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  // The same script rewritten for the same proxy base always gets the same id, so fetching it
+  // again - or sending it from the cache - reuses its entry. Null for scripts too big to keep.
+  function idFor(scriptUrl, proxyBase, source, headerMapUrl) {
+    if (Buffer.byteLength(source) > MAX_SOURCE_MAP_BYTES) return null;
+    return crypto.createHash('sha256')
+      .update(`${scriptUrl}\n${proxyBase}\n${headerMapUrl || ''}\n`)
+      .update(source)
+      .digest('hex')
+      .slice(0, 32);
+  }
+
+  function add(id, { scriptUrl, proxyBase, source, headerMapUrl }) {
+    if (get(id)) return;
+
+    const size = Buffer.byteLength(source);
+    entries.set(id, { scriptUrl, proxyBase, source, headerMapUrl: headerMapUrl || null, size });
+    totalBytes += size;
+    for (const [oldId, oldest] of entries) {
+      if (entries.size <= MAX_SOURCE_MAPS && totalBytes <= MAX_SOURCE_MAP_BYTES) break;
+      entries.delete(oldId);
+      totalBytes -= oldest.size;
+    }
+  }
+
+  function get(id) {
+    const entry = entries.get(id);
+    if (!entry) return null;
+    entries.delete(id);
+    entries.set(id, entry);
+    return entry;
+  }
+
+  return { idFor, add, get };
+}
+
+// The map inside a data: URL, or undefined when mapUrl is something to fetch
+function decodeDataMap(mapUrl) {
+  const match = mapUrl.match(/^data:[^,]*?(;base64)?,(.*)$/s);
+  if (!match) return undefined;
+  const text = match[1] ? Buffer.from(match[2], 'base64').toString('utf8') : decodeURIComponent(match[2]);
+  return JSON.parse(text);
+}
+
+// Chain the edit map onto the upstream script's own map, so positions in the rewritten script
+// lead back to the original sources. rewriteSource(url) proxies absolute source URLs.
+function composeSourceMap(map, scriptUrl, upstreamMap, rewriteSource) {
+  if (!upstreamMap) return map;
+
+  const composed = remapping(map, file => (file === scriptUrl ? upstreamMap : null));
+  composed.sources = composed.sources.map(source => (/^https?:\/\//i.test(source || '') ? rewriteSource(source) : source));
+  return composed;
+}
+
+module.exports = {
+  SOURCE_MAP_PATH,
+  composeSourceMap,
+  createSourceMapStore,
+  decodeDataMap
+};
@@ -0,0 +1,101 @@
+const dns = require('dns');
+const net = require('net');
+
+// Error code used for targets the guard refuses - mapped to a 403 by the proxy routes
+const TARGET_BLOCKED = 'ETARGETBLOCKED';
+
+// Loopback, link-local, private and cloud metadata ranges that must never be proxied
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],        // "this network"
+  ['10.0.0.0', 8, 'ipv4'],       // RFC1918
+  ['100.64.0.0', 10, 'ipv4'],    // Carrier-grade NAT, includes Alibaba metadata 100.100.100.200
+  ['127.0.0.0', 8, 'ipv4'],      // Loopback
+  ['169.254.0.0', 16, 'ipv4'],   // Link-local, includes 169.254.169.254 metadata
+  ['172.16.0.0', 12, 'ipv4'],    // RFC1918
+  ['192.0.0.0', 24, 'ipv4'],     // IETF protocol assignments, includes Oracle metadata 192.0.0.192
+  ['192.168.0.0', 16, 'ipv4'],   // RFC1918
+  ['::', 128, 'ipv6'],           // Unspecified
+  ['::1', 128, 'ipv6'],          // Loopback
+  ['fc00::', 7, 'ipv6'],         // Unique local, includes AWS metadata fd00:ec2::254
+  ['fe80::', 10, 'ipv6']         // Link-local
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => blockList.addSubnet(network, prefix, type));
+
+function targetBlockedError(hostname, address) {
+  const err = new Error(`Refusing to connect to ${hostname} (${address}): private, loopback or link-local address`);
+  err.code = TARGET_BLOCKED;
+  return err;
+}
+
+// Build a guard for one proxy instance.
+// allowedRanges - CIDRs or single addresses (e.g. ['10.1.0.0/16', '192.168.5.10']) we do want
+// to reach despite the blocked ranges. Entries are validated by the config loader.
+function createTargetGuard({ allowedRanges = [] } = {}) {
+  const allowList = new net.BlockList();
+
+  allowedRanges.forEach(range => {
+    const [address, prefix] = range.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (prefix === undefined) {
+      allowList.addAddress(address, type);
+    } else {
+      allowList.addSubnet(address, Number(prefix), type);
+    }
+  });
+
+  // Check one resolved address, unwrapping IPv4-mapped IPv6 (::ffff:127.0.0.1)
+  function isBlockedAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    return blockList.check(address, type) && !allowList.check(address, type);
+  }
+
+  // Synchronous check for IP-literal hosts, which never go through a DNS lookup.
+  // Returns an error for a blocked literal, null otherwise.
+  function checkLiteralHost(hostname) {
+    const address = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(address) && isBlockedAddress(address)) {
+      return targetBlockedError(hostname, address);
+    }
+    return null;
+  }
+
+  // Drop-in replacement for dns.lookup passed as the `lookup` socket option. It runs on every
+  // connection - redirect hops included - and checks the address actually being connected to.
+  function lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, Object.assign({}, options, { all: true }), (err, addresses) => {
+      if (err) return callback(err);
+
+      const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+      if (blocked) {
+        return callback(targetBlockedError(hostname, blocked.address));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  return {
+    checkLiteralHost,
+    isBlockedAddress,
+    lookup
+  };
+}
+
+module.exports = {
+  TARGET_BLOCKED,
+  createTargetGuard
+};
@@ -0,0 +1,279 @@
+const http = require('http');
+const https = require('https');
+const { rewriteSetCookieHeaders, toUpstreamCookieHeader } = require('./cookies');
+const { createRequestId } = require('./logger');
+const { TARGET_BLOCKED } = require('./target-guard');
+
+// Path-based WebSocket format generated by the injected script: /proxy/wss/example.com/socket
+const WS_PATH_PATTERN = /^\/proxy\/(wss?)\/([\w.-]+(?::\d+)?)(\/[^?]*)?(\?.*)?$/;
+
+// Hop-by-hop headers that must not be copied to the upstream handshake
+const HOP_BY_HOP_HEADERS = [
+  'host',
+  'connection',
+  'upgrade',
+  'keep-alive',
+  'proxy-connection',
+  'proxy-authorization',
+  'te',
+  'trailer',
+  'transfer-encoding'
+];
+
+// Write a plain HTTP error response on a socket that never got upgraded
+function rejectUpgrade(socket, statusCode, message, headers = {}) {
+  if (socket.destroyed) return;
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n` +
+    Object.keys(headers).map(name => `${name}: ${headers[name]}\r\n`).join('') +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(message)}\r\n` +
+    'Connection: close\r\n' +
+    '\r\n' +
+    message
+  );
+}
+
+// Cookies are scoped by http(s) URLs, so map ws: to http: and wss: to https:
+function toHttpUrl(targetUrl) {
+  const secure = targetUrl.protocol === 'wss:';
+  return new URL(`${secure ? 'https' : 'http'}://${targetUrl.host}${targetUrl.pathname}`);
+}
+
+// Serialize a status line and raw header pairs for writing straight to a socket,
+// namespacing any Set-Cookie the same way proxyRequest does. onCookies(cookies) gets the
+// namespaced cookies handed to the browser.
+function formatHead(statusLine, rawHeaders, targetUrl, proxyBase, onCookies) {
+  const cookieUrl = toHttpUrl(targetUrl);
+
+  let head = `${statusLine}\r\n`;
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    if (rawHeaders[i].toLowerCase() === 'set-cookie') {
+      const cookies = rewriteSetCookieHeaders(rawHeaders[i + 1], cookieUrl, proxyBase);
+      onCookies(cookies);
+      cookies.forEach(cookie => {
+        head += `Set-Cookie: ${cookie}\r\n`;
+      });
+    } else {
+      head += `${rawHeaders[i]}: ${rawHeaders[i + 1]}\r\n`;
+    }
+  }
+  return head + '\r\n';
+}
+
+// Parse a /proxy/ws(s)/host/path upgrade URL (relative to the mount path) into the real upstream URL
+function parseWebSocketTarget(reqUrl) {
+  const match = reqUrl.match(WS_PATH_PATTERN);
+  if (!match) return null;
+
+  const [, protocol, host, path, search] = match;
+  try {
+    return new URL(`${protocol}://${host}${path || '/'}${search || ''}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Build the upstream handshake headers - same forwarding rules as proxyRequest
+function buildUpstreamHeaders(req, targetUrl, session) {
+  const headers = {};
+
+  Object.keys(req.headers).forEach(key => {
+    if (!HOP_BY_HOP_HEADERS.includes(key)) {
+      headers[key] = req.headers[key];
+    }
+  });
+
+  const httpUrl = toHttpUrl(targetUrl);
+
+  // This host's namespaced browser cookies, plus whatever the client's session jar holds
+  const jar = session ? session.jar : null;
+  const cookies = [toUpstreamCookieHeader(req.headers.cookie, httpUrl, jar)];
+  if (jar) {
+    cookies.push(jar.getCookieString(httpUrl.href));
+  }
+  delete headers['cookie'];
+  const cookieHeader = cookies.filter(Boolean).join('; ');
+  if (cookieHeader) {
+    headers['Cookie'] = cookieHeader;
+  }
+
+  headers['Host'] = targetUrl.host;
+  headers['Connection'] = 'Upgrade';
+  headers['Upgrade'] = 'websocket';
+  // Present the target's own origin, not the proxy's
+  headers['origin'] = httpUrl.origin;
+
+  return headers;
+}
+
+// Build the 'upgrade' listener for one proxy instance. It relays HTTP upgrades on
+// {mountPath}/proxy/ws/... and {mountPath}/proxy/wss/... to the real upstream socket.
+// ctx: { config, log, metrics, mountPath, sessions, guard, filter, egress, tunnels } - tunnels collects open sockets for close()
+function createUpgradeHandler(ctx) {
+  return function handleUpgrade(req, socket, head) {
+    const upgrade = (req.headers.upgrade || '').toLowerCase();
+    if (upgrade !== 'websocket') {
+      return rejectUpgrade(socket, 400, 'Only WebSocket upgrades are supported');
+    }
+
+    if (ctx.closing) {
+      return rejectUpgrade(socket, 503, 'Proxy is shutting down');
+    }
+
+    const mountPath = ctx.mountPath === '/' ? '' : ctx.mountPath;
+    if (!req.url.startsWith(`${mountPath}/proxy/`)) {
+      return rejectUpgrade(socket, 404, 'Not found');
+    }
+
+    // Same key/login and quota rules as the HTTP routes
+    let keyId = null;
+    if (ctx.auth) {
+      keyId = ctx.auth.authenticate(req);
+      if (!keyId) {
+        return rejectUpgrade(socket, 401, 'A valid API key is required');
+      }
+      const exceeded = ctx.auth.checkQuota(keyId);
+      if (exceeded) {
+        return rejectUpgrade(socket, 429, exceeded.message, { 'Retry-After': exceeded.retryAfter });
+      }
+      ctx.auth.stripCredentials(req);
+    }
+
+    const targetUrl = parseWebSocketTarget(req.url.slice(mountPath.length));
+    if (!targetUrl) {
+      return rejectUpgrade(socket, 400, 'Invalid WebSocket URL. Use /proxy/wss/example.com/path');
+    }
+
+    const log = ctx.log.child({ requestId: createRequestId(req.headers['x-request-id']), component: 'ws' });
+
+    const literalBlocked = ctx.guard.checkLiteralHost(targetUrl.hostname);
+    if (literalBlocked) {
+      log.warn('Blocked target', { target: targetUrl.href, error: literalBlocked.message });
+      return rejectUpgrade(socket, 403, literalBlocked.message);
+    }
+
+    const filtered = ctx.filter ? ctx.filter.check(targetUrl.href, req) : null;
+    if (filtered) {
+      ctx.metrics.filterBlocks.inc({ category: filtered.category, type: filtered.type });
+      log.debug('Blocked by content filter', { target: targetUrl.href, category: filtered.category, rule: filtered.rule });
+      return rejectUpgrade(socket, 403, `Blocked by the ${filtered.category} filter list`);
+    }
+
+    log.info('Tunnelling', { target: targetUrl.href });
+
+    const secure = targetUrl.protocol === 'wss:';
+    const transport = secure ? https : http;
+    const proxyProtocol = req.headers['x-forwarded-proto'] || (req.socket.encrypted ? 'https' : 'http');
+    const proxyBase = `${proxyProtocol}://${req.headers['x-forwarded-host'] || req.headers.host}${mountPath}`;
+
+    const session = ctx.sessions.getSession(req);
+    const rememberCookies = cookies => ctx.sessions.rememberBrowserCookies(session, cookies);
+
+    // Same egress route as HTTP requests to the host; the tunnel agents run the guard themselves
+    let agent = null;
+    if (ctx.egress) {
+      let route;
+      try {
+        route = ctx.egress.route(targetUrl.href);
+      } catch (err) {
+        log.warn('Upstream WebSocket failed', { target: targetUrl.href, error: err.message, code: err.code });
+        return rejectUpgrade(socket, 502, err.message);
+      }
+      ctx.metrics.egressRequests.inc({ via: route.via });
+      agent = ctx.egress.createAgent(route.via, secure ? 'https:' : 'http:');
+    }
+
+    const upstreamReq = transport.request({
+      hostname: targetUrl.hostname,
+      port: targetUrl.port || (secure ? 443 : 80),
+      path: targetUrl.pathname + targetUrl.search,
+      method: 'GET',
+      headers: buildUpstreamHeaders(req, targetUrl, session),
+      timeout: ctx.config.upstream.timeout,
+      rejectUnauthorized: ctx.config.upstream.strictSSL,
+      ...(agent ? { agent } : { lookup: ctx.guard.lookup })
+    });
+
+    // Client went away before the upstream handshake finished
+    const abortUpstream = () => upstreamReq.destroy();
+    socket.on('error', abortUpstream);
+    socket.on('close', abortUpstream);
+
+    upstreamReq.on('timeout', () => {
+      upstreamReq.destroy(new Error('Upstream WebSocket handshake timed out'));
+    });
+
+    upstreamReq.on('error', (err) => {
+      if (err.code === TARGET_BLOCKED) {
+        log.warn('Blocked target', { target: targetUrl.href, error: err.message });
+        return rejectUpgrade(socket, 403, err.message);
+      }
+      log.warn('Upstream WebSocket failed', { target: targetUrl.href, error: err.message, code: err.code });
+      rejectUpgrade(socket, 502, `Failed to connect to WebSocket: ${err.message}`);
+    });
+
+    // Upstream answered with a normal HTTP response - pass it back and close
+    upstreamReq.on('response', (upstreamRes) => {
+      log.warn('Upstream refused the upgrade', { target: targetUrl.href, status: upstreamRes.statusCode });
+      socket.write(formatHead(
+        `HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}`,
+        upstreamRes.rawHeaders,
+        targetUrl,
+        proxyBase,
+        rememberCookies
+      ));
+      upstreamRes.pipe(socket);
+    });
+
+    upstreamReq.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+      socket.removeListener('error', abortUpstream);
+      socket.removeListener('close', abortUpstream);
+
+      // Forward the 101 with the negotiated subprotocol, extensions and cookies
+      socket.write(formatHead('HTTP/1.1 101 Switching Protocols', upstreamRes.rawHeaders, targetUrl, proxyBase, rememberCookies));
+
+      if (upstreamHead && upstreamHead.length) socket.write(upstreamHead);
+      if (head && head.length) upstreamSocket.write(head);
+
+      socket.setNoDelay(true);
+      upstreamSocket.setNoDelay(true);
+      socket.setTimeout(0);
+      upstreamSocket.setTimeout(0);
+
+      // Close both sides cleanly when either one drops - WebSockets have no use for half-open sockets
+      const endBoth = () => {
+        socket.end();
+        upstreamSocket.end();
+      };
+      const closeBoth = () => {
+        socket.destroy();
+        upstreamSocket.destroy();
+      };
+      socket.on('end', endBoth);
+      upstreamSocket.on('end', endBoth);
+      socket.on('error', closeBoth);
+      socket.on('close', closeBoth);
+      upstreamSocket.on('error', closeBoth);
+      upstreamSocket.on('close', closeBoth);
+
+      ctx.tunnels.add(closeBoth);
+      socket.once('close', () => {
+        ctx.tunnels.delete(closeBoth);
+        if (keyId) {
+          ctx.auth.recordBytes(keyId, socket.bytesWritten);
+        }
+      });
+
+      socket.pipe(upstreamSocket);
+      upstreamSocket.pipe(socket);
+    });
+
+    upstreamReq.end();
+  };
+}
+
+module.exports = {
+  createUpgradeHandler,
+  parseWebSocketTarget
+};
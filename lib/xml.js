@@ -0,0 +1,205 @@
+// Namespace-aware URL rewriting for XML documents: RSS 0.9x/1.0/2.0, Atom, Media RSS and
+// podcast feeds, OPML, sitemaps, SVG and XHTML.
+//
+// Elements are matched by namespace URI and local name, so prefixes don't matter
+// (<atom:link>, <a10:link> and a default-namespace <link> in an Atom feed are the same element).
+// xml:base is honoured while walking. Each URL is passed to callbacks that do the actual
+// rewriting - see rewriteXML in lib/rewrite.js. HTML embedded in feed descriptions is escaped
+// text as far as XML is concerned and is left alone.
+
+const cheerio = require('cheerio');
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// namespace URI -> local element name -> { text: element content is a URL, attributes: [...] }.
+// '' is no namespace: RSS 0.9x/2.0 and OPML.
+const URL_ELEMENTS = {
+  '': {
+    link: { text: true },
+    comments: { text: true },
+    docs: { text: true },
+    url: { text: true },
+    guid: { text: true },
+    enclosure: { attributes: ['url'] },
+    source: { attributes: ['url'] },
+    outline: { attributes: ['xmlUrl', 'htmlUrl', 'url'] }
+  },
+  'http://purl.org/rss/1.0/': {
+    link: { text: true },
+    url: { text: true }
+  },
+  'http://www.w3.org/2005/Atom': {
+    link: { attributes: ['href'] },
+    content: { attributes: ['src'] },
+    generator: { attributes: ['uri'] },
+    icon: { text: true },
+    logo: { text: true },
+    uri: { text: true }
+  },
+  'http://search.yahoo.com/mrss/': {
+    content: { attributes: ['url'] },
+    thumbnail: { attributes: ['url'] },
+    player: { attributes: ['url'] }
+  },
+  'http://www.itunes.com/dtds/podcast-1.0.dtd': {
+    image: { attributes: ['href'] }
+  },
+  'http://www.sitemaps.org/schemas/sitemap/0.9': {
+    loc: { text: true }
+  },
+  'http://www.google.com/schemas/sitemap-image/1.1': {
+    loc: { text: true }
+  },
+  'http://www.google.com/schemas/sitemap-video/1.1': {
+    content_loc: { text: true },
+    player_loc: { text: true },
+    thumbnail_loc: { text: true }
+  }
+};
+
+// SVG presentation attributes that may reference other documents through url()
+const SVG_URL_PROPERTIES = ['fill', 'stroke', 'clip-path', 'mask', 'filter', 'marker-start', 'marker-mid', 'marker-end'];
+
+// Generic XML plus every +xml type - feeds, SVG, XHTML, ... (DASH manifests are picked up earlier)
+function isXMLContentType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return type === 'text/xml' || type === 'application/xml' || type === 'text/x-opml' || type.endsWith('+xml');
+}
+
+// Only the predefined entities and character references - XML documents can't use HTML's
+function decodeXML(value) {
+  return value.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+    switch (entity.toLowerCase()) {
+      case 'lt': return '<';
+      case 'gt': return '>';
+      case 'amp': return '&';
+      case 'quot': return '"';
+      case 'apos': return "'";
+      default: {
+        const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+      }
+    }
+  });
+}
+
+function encodeXML(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const splitName = (name) => {
+  const colon = name.indexOf(':');
+  return colon === -1 ? ['', name] : [name.slice(0, colon), name.slice(colon + 1)];
+};
+
+// Rewrite the URLs in an XML document. The output is a string, so any encoding declaration is
+// changed to UTF-8 to match the bytes it is sent as. rewriters:
+//   url(value, base)                          - proxied URL for a reference, relative to base
+//   css(text, base)                           - rewritten stylesheet or style attribute
+//   htmlAttribute(tag, name, value, attribs, base) - rewritten XHTML attribute value
+function rewriteXMLDocument(xml, documentUrl, rewriters) {
+  const $ = cheerio.load(xml, { xml: { decodeEntities: false } });
+
+  // Fragment-only references stay in the document; other schemes (urn:, tag:, mailto:) aren't fetched
+  const rewriteReference = (value, base) => {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('#') || (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^https?:/i.test(trimmed))) return value;
+    return rewriters.url(value, base);
+  };
+
+  // Apply rewrite to an attribute's decoded value
+  const updateAttribute = (node, name, rewrite) => {
+    const value = decodeXML(node.attribs[name]);
+    const rewritten = rewrite(value);
+    if (rewritten !== value) node.attribs[name] = encodeXML(rewritten);
+  };
+
+  // Apply rewrite to an element's text, in text or CDATA form, keeping the surrounding whitespace
+  const updateText = (node, rewrite) => {
+    node.children.forEach(child => {
+      const target = child.type === 'cdata' ? child.children[0] : child;
+      if (!target || target.type !== 'text' || !target.data.trim()) return;
+
+      const raw = child.type === 'cdata';
+      const [, before, content, after] = target.data.match(/^(\s*)([\s\S]*?)(\s*)$/);
+      const value = raw ? content : decodeXML(content);
+      const rewritten = rewrite(value);
+      if (rewritten !== value) {
+        target.data = `${before}${raw ? rewritten : encodeXML(rewritten)}${after}`;
+      }
+    });
+  };
+
+  // namespaces - prefix -> URI in scope; base - what relative URLs resolve against
+  const visit = (node, namespaces, base) => {
+    const attribs = node.attribs || {};
+
+    const scope = { ...namespaces };
+    Object.keys(attribs).forEach(name => {
+      if (name === 'xmlns') scope[''] = attribs[name];
+      if (name.startsWith('xmlns:')) scope[name.slice(6)] = attribs[name];
+    });
+
+    const [prefix, localName] = splitName(node.name);
+    const namespace = scope[prefix] || '';
+
+    // xml:base changes the base for this element and its content; it is rewritten like any other URL
+    if (attribs['xml:base'] !== undefined) {
+      const value = decodeXML(attribs['xml:base']);
+      try {
+        base = new URL(value.trim(), base).href;
+      } catch (e) {}
+      updateAttribute(node, 'xml:base', () => rewriters.url(base, base));
+    }
+
+    const rules = (URL_ELEMENTS[namespace] || {})[localName];
+    if (rules && rules.attributes) {
+      rules.attributes.filter(name => attribs[name] !== undefined).forEach(name => {
+        updateAttribute(node, name, value => rewriteReference(value, base));
+      });
+    }
+    // RSS guids are only URLs when they say so
+    const isIdentifier = namespace === '' && localName === 'guid' && attribs.isPermaLink === 'false';
+    if (rules && rules.text && !isIdentifier) {
+      updateText(node, value => rewriteReference(value, base));
+    }
+
+    Object.keys(attribs).forEach(name => {
+      const [attributePrefix, attributeName] = splitName(name);
+      if (attributePrefix === 'xmlns' || name === 'xmlns') return;
+      const attributeNamespace = attributePrefix === 'xml' ? XML_NS : (attributePrefix ? scope[attributePrefix] : '');
+
+      if (attributeNamespace === XLINK_NS && attributeName === 'href') {
+        updateAttribute(node, name, value => rewriteReference(value, base));
+      } else if (attributePrefix === '' && name === 'style' && (namespace === SVG_NS || namespace === XHTML_NS)) {
+        updateAttribute(node, name, value => rewriters.css(value, base));
+      } else if (attributePrefix === '' && namespace === SVG_NS) {
+        if (name === 'href') {
+          updateAttribute(node, name, value => rewriteReference(value, base));
+        } else if (SVG_URL_PROPERTIES.includes(name) && attribs[name].includes('url(')) {
+          updateAttribute(node, name, value => rewriters.css(value, base));
+        }
+      } else if (attributePrefix === '' && namespace === XHTML_NS) {
+        updateAttribute(node, name, value => rewriters.htmlAttribute(localName.toLowerCase(), name, value, attribs, base));
+      }
+    });
+
+    if (localName === 'style' && (namespace === SVG_NS || namespace === XHTML_NS)) {
+      updateText(node, css => rewriters.css(css, base));
+    }
+
+    (node.children || []).filter(child => child.type === 'tag').forEach(child => visit(child, scope, base));
+  };
+
+  $.root().children().toArray().forEach(root => visit(root, { xml: XML_NS }, documentUrl));
+
+  return $.xml().replace(/^(\uFEFF?<\?xml[^>]*?\bencoding\s*=\s*)(["'])[^"']*\2/, '$1$2UTF-8$2');
+}
+
+module.exports = {
+  isXMLContentType,
+  rewriteXMLDocument
+};
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fetch } = require('./helpers/http');
+const { startProxy } = require('./helpers/proxy');
+
+describe('auth', () => {
+  let proxy;
+
+  before(async () => {
+    proxy = await startProxy({ auth: { enabled: true, keys: ['test-key'], sessionSecret: 'test-secret' } });
+  });
+
+  after(() => proxy.close());
+
+  function login(next) {
+    return fetch(`${proxy.url}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: 'test-key', next })
+    });
+  }
+
+  it('redirects back to the page that asked for a login', async () => {
+    const res = await login('/proxy/https/example.com/?q=1');
+    assert.strictEqual(res.status, 303);
+    assert.strictEqual(res.headers.location, '/proxy/https/example.com/?q=1');
+  });
+
+  it('does not redirect to other origins after a login', async () => {
+    const attempts = ['//evil.example/', '/\\evil.example/', '/\t/evil.example/', 'https://evil.example/', 'evil'];
+    for (const next of attempts) {
+      const res = await login(next);
+      assert.strictEqual(res.status, 303, next);
+      assert.strictEqual(res.headers.location, '/', next);
+    }
+  });
+
+  it('keeps keys sent in the query string out of the access log', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-auth-'));
+    const accessFile = path.join(dir, 'access.log');
+    const logged = await startProxy({
+      auth: { enabled: true, keys: ['s3cret-key'], sessionSecret: 'test-secret' },
+      log: { access: 'combined', accessFile }
+    });
+    try {
+      assert.strictEqual((await fetch(`${logged.url}/cache/stats?proxy_key=s3cret-key&x=1`)).status, 200);
+      assert.strictEqual((await fetch(`${logged.url}/cache/stats?proxy_key=s3cret-kez`)).status, 401);
+    } finally {
+      await logged.close();
+    }
+
+    const log = fs.readFileSync(accessFile, 'utf8');
+    fs.rmSync(dir, { recursive: true, force: true });
+    assert.ok(!log.includes('s3cret'), log);
+    assert.ok(log.includes('"GET /cache/stats?proxy_key=[redacted]&x=1 HTTP/1.1" 200'), log);
+  });
+});
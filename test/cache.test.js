@@ -0,0 +1,128 @@
+const assert = require('assert');
+const request = require('request');
+const { isStorableResponse } = require('../lib/cache');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+describe('cache', () => {
+  describe('isStorableResponse', () => {
+    const url = 'http://example.com/page';
+    const ok = (headers) => ({ statusCode: 200, headers: { 'cache-control': 'max-age=60', ...headers } });
+
+    it('stores fresh or validatable 200s only', () => {
+      assert.ok(isStorableResponse({ url, headers: {} }, ok()));
+      assert.ok(isStorableResponse({ url, headers: {} }, { statusCode: 200, headers: { etag: '"v1"' } }));
+      assert.ok(!isStorableResponse({ url, headers: {} }, { statusCode: 200, headers: {} }));
+      assert.ok(!isStorableResponse({ url, headers: {} }, { statusCode: 404, headers: { 'cache-control': 'max-age=60' } }));
+    });
+
+    it('honours private, no-store, Set-Cookie and Vary: *', () => {
+      assert.ok(!isStorableResponse({ url, headers: {} }, ok({ 'cache-control': 'private, max-age=60' })));
+      assert.ok(!isStorableResponse({ url, headers: {} }, ok({ 'cache-control': 'no-store' })));
+      assert.ok(!isStorableResponse({ url, headers: {} }, ok({ 'set-cookie': ['a=1'] })));
+      assert.ok(!isStorableResponse({ url, headers: {} }, ok({ vary: '*' })));
+    });
+
+    it('keeps responses to requests with credentials out unless they are public', () => {
+      const jar = request.jar();
+      jar.setCookie('session=abc', url);
+      [{ headers: { Authorization: 'Bearer x' } }, { headers: { Cookie: 'a=1' } }, { headers: {}, jar }].forEach((options) => {
+        assert.ok(!isStorableResponse({ url, ...options }, ok()));
+        assert.ok(isStorableResponse({ url, ...options }, ok({ 'cache-control': 'public, max-age=60' })));
+        assert.ok(isStorableResponse({ url, ...options }, ok({ 'cache-control': 's-maxage=60' })));
+      });
+      // Cookies the jar holds for other sites don't count
+      assert.ok(isStorableResponse({ url: 'http://other.example/', headers: {}, jar }, ok()));
+    });
+  });
+
+  describe('in the proxy', () => {
+    let origin;
+    let proxy;
+
+    before(async () => {
+      origin = await startOrigin();
+      proxy = await startProxy({ cache: { enabled: true } });
+    });
+
+    after(async () => {
+      await proxy.close();
+      await origin.close();
+    });
+
+    const get = (path, headers = {}) => fetch(proxied(proxy.url, `${origin.url}${path}`), { headers });
+
+    it('answers fresh responses from the cache', async () => {
+      const first = await get('/cached?cc=max-age=60');
+      const second = await get('/cached?cc=max-age=60');
+      assert.strictEqual(first.headers['x-proxy-cache'], 'MISS');
+      assert.strictEqual(second.headers['x-proxy-cache'], 'HIT');
+      assert.strictEqual(JSON.parse(second.text).count, 1);
+    });
+
+    it('revalidates stale responses with their validators', async () => {
+      await get('/cached?cc=no-cache&etag=v1');
+      const res = await get('/cached?cc=no-cache&etag=v1');
+      assert.strictEqual(res.headers['x-proxy-cache'], 'REVALIDATED');
+      assert.strictEqual(JSON.parse(res.text).count, 1);
+      const revalidation = origin.requests.filter(entry => entry.url === '/cached?cc=no-cache&etag=v1').pop();
+      assert.strictEqual(revalidation.headers['if-none-match'], '"v1"');
+
+      // The browser's own validators are answered from the stored copy
+      const conditional = await get('/cached?cc=no-cache&etag=v1', { 'If-None-Match': '"v1"' });
+      assert.strictEqual(conditional.status, 304);
+    });
+
+    it('keeps one variant per value of the Vary headers', async () => {
+      const path = '/cached?cc=max-age=60&vary=Accept-Language';
+      await get(path, { 'Accept-Language': 'en' });
+      await get(path, { 'Accept-Language': 'de' });
+      const english = await get(path, { 'Accept-Language': 'en' });
+      const german = await get(path, { 'Accept-Language': 'de' });
+      assert.deepStrictEqual([english.headers['x-proxy-cache'], german.headers['x-proxy-cache']], ['HIT', 'HIT']);
+      assert.strictEqual(JSON.parse(english.text).vary, 'en');
+      assert.strictEqual(JSON.parse(german.text).vary, 'de');
+    });
+
+    it('keeps rewritten scripts along with their source maps', async () => {
+      const first = await get('/fixtures/app.js?cc=max-age=60');
+      const second = await get('/fixtures/app.js?cc=max-age=60');
+      assert.strictEqual(second.headers['x-proxy-cache'], 'HIT');
+      assert.strictEqual(second.text, first.text);
+
+      const mapUrl = second.text.match(/\/\/# sourceMappingURL=(\S+)\n$/)[1];
+      const map = await fetch(new URL(mapUrl, proxy.url).href);
+      assert.strictEqual(map.status, 200);
+    });
+
+    it('does not share responses to requests carrying session cookies', async () => {
+      const set = await get('/cookies/set');
+      const sessionCookie = set.headers['set-cookie'].find(cookie => cookie.startsWith('__proxy_sid=')).split(';')[0];
+
+      const personal = await get('/cached?cc=max-age=60&user=1', { Cookie: sessionCookie });
+      assert.strictEqual(personal.headers['x-proxy-cache'], 'BYPASS');
+      const anonymous = await get('/cached?cc=max-age=60&user=1');
+      assert.strictEqual(anonymous.headers['x-proxy-cache'], 'MISS');
+      assert.strictEqual(JSON.parse(anonymous.text).count, 2);
+
+      // Unless the origin marks them public
+      await get('/cached?cc=public,max-age=60&user=1', { Cookie: sessionCookie });
+      assert.strictEqual((await get('/cached?cc=public,max-age=60&user=1')).headers['x-proxy-cache'], 'HIT');
+    });
+
+    it('matches Vary: Cookie against the session\'s cookies', async () => {
+      const path = '/cached?cc=max-age=60&vary=Cookie&user=2';
+      assert.strictEqual((await get(path)).headers['x-proxy-cache'], 'MISS');
+
+      // The login lands in the session's jar after the anonymous copy was stored
+      const set = await get('/cookies/set');
+      const sessionCookie = set.headers['set-cookie'].find(cookie => cookie.startsWith('__proxy_sid=')).split(';')[0];
+
+      const personal = await get(path, { Cookie: sessionCookie });
+      assert.notStrictEqual(personal.headers['x-proxy-cache'], 'HIT');
+      assert.strictEqual(JSON.parse(personal.text).count, 2);
+      assert.strictEqual((await get(path)).headers['x-proxy-cache'], 'HIT');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const iconv = require('iconv-lite');
+const {
+  decodeBuffer,
+  detectCharsetFromContentType,
+  detectCharsetFromHTML,
+  detectCharsetFromXML
+} = require('../lib/charset');
+const { createLogger } = require('../lib/logger');
+const { CHARSET_PAGES } = require('./helpers/origin');
+
+const log = createLogger({ level: 'silent' });
+
+describe('charset detection', () => {
+  it('reads the Content-Type charset parameter', () => {
+    assert.strictEqual(detectCharsetFromContentType('text/html; charset="Shift_JIS"').toLowerCase(), 'shift_jis');
+    assert.strictEqual(detectCharsetFromContentType('text/html'), null);
+  });
+
+  it('reads <meta charset> and <meta http-equiv> declarations', () => {
+    assert.strictEqual(detectCharsetFromHTML(Buffer.from('<meta charset="windows-1252">')).toLowerCase(), 'windows-1252');
+    assert.strictEqual(
+      detectCharsetFromHTML(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=gbk">')).toLowerCase(),
+      'gbk'
+    );
+  });
+
+  it('reads the XML declaration', () => {
+    assert.strictEqual(detectCharsetFromXML(Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss/>')).toLowerCase(), 'iso-8859-1');
+  });
+});
+
+describe('decodeBuffer', () => {
+  it('decodes Shift_JIS named by the Content-Type header', () => {
+    const buffer = iconv.encode(CHARSET_PAGES.shift_jis, 'Shift_JIS');
+    assert.strictEqual(decodeBuffer(buffer, 'text/html; charset=Shift_JIS', log), CHARSET_PAGES.shift_jis);
+  });
+
+  it('decodes windows-1252 named by <meta charset>', () => {
+    const buffer = iconv.encode(CHARSET_PAGES['windows-1252'], 'windows-1252');
+    assert.strictEqual(decodeBuffer(buffer, 'text/html', log), CHARSET_PAGES['windows-1252']);
+  });
+
+  it('decodes GBK named by <meta http-equiv>', () => {
+    const buffer = iconv.encode(CHARSET_PAGES.gbk, 'gbk');
+    assert.strictEqual(decodeBuffer(buffer, 'text/html', log), CHARSET_PAGES.gbk);
+  });
+
+  it('decodes XML by its declaration', () => {
+    const xml = '<?xml version="1.0" encoding="windows-1252"?><title>Café</title>';
+    assert.strictEqual(decodeBuffer(iconv.encode(xml, 'windows-1252'), 'application/xml', log), xml);
+  });
+
+  it('falls back to UTF-8', () => {
+    assert.strictEqual(decodeBuffer(Buffer.from('naïve ✓'), 'text/plain', log), 'naïve ✓');
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { createConfig, redactConfig } = require('../lib/config');
+const { fetch } = require('./helpers/http');
+const { startProxy } = require('./helpers/proxy');
+
+describe('config', () => {
+  describe('redactConfig', () => {
+    it('redacts secrets, URL credentials and query strings', () => {
+      const config = createConfig({
+        auth: { keys: ['k1'], sessionSecret: 'shh' },
+        egress: {
+          proxies: [
+            { name: 'token', url: 'http://abc123@proxy.test:3128' },
+            { name: 'keyed', url: 'https://proxy.test/?apikey=abc123&region=eu' }
+          ],
+          default: ['token']
+        }
+      });
+      const redacted = redactConfig(config);
+      assert.deepStrictEqual(redacted.auth.keys, '[redacted]');
+      assert.strictEqual(redacted.auth.sessionSecret, '[redacted]');
+      assert.deepStrictEqual(redacted.egress.proxies.map(proxy => proxy.url), [
+        'http://[redacted]@proxy.test:3128',
+        'https://proxy.test/?apikey=[redacted]&region=[redacted]'
+      ]);
+      assert.strictEqual(redacted.egress.default[0], 'token');
+    });
+  });
+
+  describe('/config', () => {
+    it('is not exposed unless diagnostics.exposeConfig is set', async () => {
+      const hidden = await startProxy();
+      try {
+        assert.strictEqual((await fetch(`${hidden.url}/config`)).status, 404);
+      } finally {
+        await hidden.close();
+      }
+
+      const exposed = await startProxy({ diagnostics: { exposeConfig: true } });
+      try {
+        const res = await fetch(`${exposed.url}/config`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(JSON.parse(res.text).diagnostics.exposeConfig, true);
+      } finally {
+        await exposed.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const assert = require('assert');
+const { hostMatches } = require('../lib/egress');
+const { echoOverWebSocket, fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+const { startHttpProxy, startSocksProxy } = require('./helpers/upstream-proxies');
+
+// Nothing listens on port 9 of loopback
+const DEAD_PROXY = 'http://127.0.0.1:9';
+
+describe('hostMatches', () => {
+  it('matches exact hosts, subdomain wildcards and domain suffixes', () => {
+    assert.ok(hostMatches('example.com', 'example.com'));
+    assert.ok(!hostMatches('www.example.com', 'example.com'));
+    assert.ok(hostMatches('www.example.com', '*.example.com'));
+    assert.ok(!hostMatches('example.com', '*.example.com'));
+    assert.ok(hostMatches('example.com', '.example.com'));
+    assert.ok(hostMatches('a.b.example.com', '.example.com'));
+    assert.ok(!hostMatches('badexample.com', '.example.com'));
+    assert.ok(hostMatches('anything.test', '*'));
+  });
+});
+
+describe('egress', () => {
+  let origin;
+
+  before(async () => {
+    origin = await startOrigin();
+  });
+
+  after(() => origin.close());
+
+  // Start a proxy with the given egress options, run test(proxy) and shut it down
+  async function withProxy(egress, test) {
+    const proxy = await startProxy({ egress });
+    try {
+      await test(proxy);
+    } finally {
+      await proxy.close();
+    }
+  }
+
+  it('sends requests through an HTTP proxy with credentials', async () => {
+    const upstreamProxy = await startHttpProxy({ auth: 'user:p@ss' });
+    const url = new URL(upstreamProxy.url);
+    url.username = 'user';
+    url.password = 'p@ss';
+    try {
+      const proxy = await startProxy({
+        egress: { proxies: [{ name: 'corp', url: url.href }], default: ['corp'] },
+        diagnostics: { exposeConfig: true }
+      });
+      try {
+        const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(JSON.parse(res.text).url, '/echo');
+        assert.deepStrictEqual(upstreamProxy.targets, [origin.host]);
+
+        // The password stays out of the diagnostics
+        const config = JSON.parse((await fetch(`${proxy.url}/config`)).text);
+        assert.strictEqual(config.egress.proxies[0].url, `http://[redacted]@${url.host}/`);
+      } finally {
+        await proxy.close();
+      }
+    } finally {
+      await upstreamProxy.close();
+    }
+  });
+
+  it('sends requests through a SOCKS5 proxy with credentials', async () => {
+    const socks = await startSocksProxy({ username: 'user', password: 'secret' });
+    const url = socks.url.replace('socks5://', 'socks5://user:secret@');
+    try {
+      await withProxy({ proxies: [{ name: 'socks', url }], default: ['socks'] }, async (proxy) => {
+        const res = await fetch(proxied(proxy.url, `${origin.url}/echo?via=socks`), {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/plain' },
+          body: 'through the tunnel'
+        });
+        const echoed = JSON.parse(res.text);
+        assert.strictEqual(echoed.url, '/echo?via=socks');
+        assert.strictEqual(Buffer.from(echoed.body, 'base64').toString(), 'through the tunnel');
+        assert.deepStrictEqual(socks.targets, [origin.host]);
+      });
+    } finally {
+      await socks.close();
+    }
+  });
+
+  it('answers 502 when the SOCKS5 proxy refuses the credentials', async () => {
+    const socks = await startSocksProxy({ username: 'user', password: 'secret' });
+    const url = socks.url.replace('socks5://', 'socks5://user:wrong@');
+    try {
+      await withProxy({ proxies: [{ name: 'socks', url }], default: ['socks'] }, async (proxy) => {
+        const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+        assert.strictEqual(res.status, 502);
+        assert.match(JSON.parse(res.text).message, /authentication failed/);
+      });
+    } finally {
+      await socks.close();
+    }
+  });
+
+  it('runs the guard on target names before a SOCKS5 proxy gets them', async () => {
+    const socks = await startSocksProxy();
+    const port = new URL(origin.url).port;
+    try {
+      // socks5:// resolves names here, socks5h:// sends them on - either way only once the guard agrees
+      for (const url of [socks.url, socks.url.replace('socks5:', 'socks5h:')]) {
+        const proxy = await startProxy({
+          guard: { allowedRanges: [] },
+          egress: { proxies: [{ name: 'socks', url }], default: ['socks'] }
+        });
+        try {
+          assert.strictEqual((await fetch(`${proxy.url}/proxy/http/localhost:${port}/echo`)).status, 403, url);
+        } finally {
+          await proxy.close();
+        }
+      }
+      assert.deepStrictEqual(socks.targets, []);
+    } finally {
+      await socks.close();
+    }
+  });
+
+  it('runs the guard on target names before an HTTP proxy gets them', async () => {
+    const upstreamProxy = await startHttpProxy();
+    const port = new URL(origin.url).port;
+    try {
+      const proxy = await startProxy({
+        guard: { allowedRanges: [] },
+        egress: { proxies: [{ name: 'corp', url: upstreamProxy.url }], default: ['corp'] }
+      });
+      try {
+        const res = await fetch(`${proxy.url}/proxy/http/localhost:${port}/echo`);
+        assert.strictEqual(res.status, 403);
+        assert.deepStrictEqual(upstreamProxy.targets, []);
+      } finally {
+        await proxy.close();
+      }
+    } finally {
+      await upstreamProxy.close();
+    }
+  });
+
+  it('leaves name checks to proxies listed in egress.unguarded', async () => {
+    const upstreamProxy = await startHttpProxy();
+    const port = new URL(origin.url).port;
+    try {
+      const proxy = await startProxy({
+        guard: { allowedRanges: [] },
+        egress: { proxies: [{ name: 'corp', url: upstreamProxy.url }], default: ['corp'], unguarded: ['corp'] }
+      });
+      try {
+        const res = await fetch(`${proxy.url}/proxy/http/localhost:${port}/echo`);
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(upstreamProxy.targets, [`localhost:${port}`]);
+      } finally {
+        await proxy.close();
+      }
+    } finally {
+      await upstreamProxy.close();
+    }
+  });
+
+  it('hands redirects to other hosts back to the browser on HTTP proxy routes', async () => {
+    const upstreamProxy = await startHttpProxy();
+    const port = new URL(origin.url).port;
+    try {
+      await withProxy({ proxies: [{ name: 'corp', url: upstreamProxy.url }], default: ['corp'] }, async (proxy) => {
+        const sameHost = await fetch(proxied(proxy.url, `${origin.url}/redirect?to=/echo`));
+        assert.strictEqual(sameHost.status, 200);
+
+        const otherHost = await fetch(proxied(proxy.url, `${origin.url}/redirect?to=http://localhost:${port}/echo`));
+        assert.strictEqual(otherHost.status, 302);
+        assert.strictEqual(otherHost.headers.location, `${proxy.url}/proxy/http/localhost:${port}/echo`);
+      });
+    } finally {
+      await upstreamProxy.close();
+    }
+  });
+
+  it('tunnels WebSockets through the route\'s upstream proxy', async () => {
+    const upstreamProxy = await startHttpProxy();
+    const socks = await startSocksProxy();
+    try {
+      await withProxy({
+        proxies: [{ name: 'corp', url: upstreamProxy.url }, { name: 'socks', url: socks.url }],
+        rules: [{ hosts: ['localhost'], via: ['socks'] }],
+        default: ['corp']
+      }, async (proxy) => {
+        const port = new URL(origin.url).port;
+        assert.strictEqual(await echoOverWebSocket(`${proxy.url}/proxy/ws/${origin.host}/socket`, 'over CONNECT'), 'over CONNECT');
+        assert.deepStrictEqual(upstreamProxy.targets, [origin.host]);
+        assert.strictEqual(await echoOverWebSocket(`${proxy.url}/proxy/ws/localhost:${port}/socket`, 'over SOCKS'), 'over SOCKS');
+        assert.deepStrictEqual(socks.targets, [`127.0.0.1:${port}`]);
+      });
+    } finally {
+      await upstreamProxy.close();
+      await socks.close();
+    }
+  });
+
+  it('picks the route of the first matching rule', async () => {
+    const first = await startHttpProxy();
+    const second = await startHttpProxy();
+    try {
+      await withProxy({
+        proxies: [{ name: 'first', url: first.url }, { name: 'second', url: second.url }],
+        rules: [
+          { hosts: ['elsewhere.test'], via: ['first'] },
+          { hosts: ['127.0.0.1', '*.test'], via: ['second'] },
+          { hosts: ['*'], via: ['first'] }
+        ]
+      }, async (proxy) => {
+        await fetch(proxied(proxy.url, `${origin.url}/echo`));
+        assert.deepStrictEqual(first.targets, []);
+        assert.deepStrictEqual(second.targets, [origin.host]);
+      });
+    } finally {
+      await first.close();
+      await second.close();
+    }
+  });
+
+  it('skips upstream proxies that fail their health check', async () => {
+    const backup = await startHttpProxy();
+    try {
+      await withProxy({
+        proxies: [{ name: 'dead', url: DEAD_PROXY }, { name: 'backup', url: backup.url }],
+        rules: [{ hosts: ['*'], via: ['dead', 'backup', 'direct'] }],
+        healthCheck: { interval: 60000, timeout: 1000 }
+      }, async (proxy) => {
+        // The first check runs on startup
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const status = JSON.parse((await fetch(`${proxy.url}/egress/status`)).text);
+        assert.deepStrictEqual(status.proxies.map(entry => [entry.name, entry.up]), [['dead', false], ['backup', true]]);
+
+        const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(backup.targets, [origin.host]);
+      });
+    } finally {
+      await backup.close();
+    }
+  });
+
+  it('falls back to a direct connection', async () => {
+    await withProxy({
+      proxies: [{ name: 'dead', url: DEAD_PROXY }],
+      default: ['dead', 'direct'],
+      healthCheck: { interval: 60000, timeout: 1000 }
+    }, async (proxy) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+      assert.strictEqual(res.status, 200);
+      assert.match((await fetch(`${proxy.url}/metrics`)).text, /proxy_egress_requests_total\{via="direct"\} 1/);
+    });
+  });
+
+  it('answers 502 when every upstream proxy of a route is down', async () => {
+    await withProxy({
+      proxies: [{ name: 'dead', url: DEAD_PROXY }],
+      default: ['dead'],
+      healthCheck: { interval: 60000, timeout: 1000 }
+    }, async (proxy) => {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+      assert.strictEqual(res.status, 502);
+      assert.strictEqual(JSON.parse(res.text).error, 'No upstream proxy available');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFilter, requestType } = require('../lib/filter');
+const { createLogger } = require('../lib/logger');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+const log = createLogger({ level: 'silent' });
+
+const ADBLOCK_LIST = [
+  '[Adblock Plus 2.0]',
+  '! Title: Fixture ads',
+  '||ads.example.net^',
+  '||cdn.example.com/ads/*$script,third-party',
+  '@@||cdn.example.com/ads/allowed.js',
+  '/banner[0-9]+\\.gif/$image',
+  '||tracker.example.org^$domain=news.example.com|~sports.news.example.com',
+  '||popups.example.com^$popup',
+  '##.ad-banner',
+  '###sponsor',
+  '##a[href^="https://ads."]',
+  'news.example.com,~m.news.example.com##.sidebar-promo',
+  'example.org#@#.ad-banner'
+].join('\n');
+
+const HOSTS_LIST = [
+  '# Malware domains',
+  '127.0.0.1 localhost',
+  '0.0.0.0 malware.example.com phishing.example.com # two per line',
+  'plain-domain.example'
+].join('\n');
+
+// Browser request stand-in: dest is its Sec-Fetch-Dest, page the proxied page it came from
+function browserRequest(dest, page) {
+  const headers = { 'sec-fetch-dest': dest };
+  if (page) headers.referer = `http://proxy.test/proxy/${page.replace('://', '/')}`;
+  return { method: 'GET', headers };
+}
+
+function writeLists(dir) {
+  fs.writeFileSync(path.join(dir, 'ads.txt'), ADBLOCK_LIST);
+  fs.writeFileSync(path.join(dir, 'malware.hosts'), HOSTS_LIST);
+  return [{ path: path.join(dir, 'ads.txt') }, { category: 'malware', path: path.join(dir, 'malware.hosts') }];
+}
+
+describe('content filter', () => {
+  let dir;
+  let filter;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-filter-'));
+    filter = createFilter({ lists: writeLists(dir), categories: [], cosmetic: true, blockPage: '', brand: 'Test Proxy', reloadInterval: 0 }, log);
+  });
+
+  after(() => {
+    filter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('requestType', () => {
+    it('maps Sec-Fetch-Dest and falls back to the Accept header', () => {
+      assert.strictEqual(requestType({ headers: { 'sec-fetch-dest': 'iframe' } }), 'subdocument');
+      assert.strictEqual(requestType({ headers: { 'sec-fetch-dest': 'empty' } }), 'xmlhttprequest');
+      assert.strictEqual(requestType({ method: 'GET', headers: { accept: 'text/html,*/*' } }), 'document');
+      assert.strictEqual(requestType({ method: 'GET', headers: {} }), 'other');
+    });
+  });
+
+  describe('network rules', () => {
+    it('blocks hosts file entries, plain domains and their subdomains', () => {
+      ['http://malware.example.com/', 'https://cdn.phishing.example.com/x.js', 'http://plain-domain.example/']
+        .forEach(url => assert.strictEqual(filter.check(url, browserRequest('document')).category, 'malware', url));
+      assert.strictEqual(filter.check('http://localhost/', browserRequest('document')), null);
+      assert.strictEqual(filter.check('http://example.com/', browserRequest('document')), null);
+    });
+
+    it('names the category after the file when the list has none', () => {
+      const blocked = filter.check('https://ads.example.net/pixel', browserRequest('image', 'https://news.example.com/'));
+      assert.deepStrictEqual(blocked, { category: 'ads', rule: '||ads.example.net^', type: 'image' });
+    });
+
+    it('applies type and third-party options', () => {
+      const script = 'https://cdn.example.com/ads/banner.js';
+      assert.ok(filter.check(script, browserRequest('script', 'https://news.example.org/')));
+      // First-party, or not a script
+      assert.strictEqual(filter.check(script, browserRequest('script', 'https://www.example.com/')), null);
+      assert.strictEqual(filter.check(script, browserRequest('image', 'https://news.example.org/')), null);
+    });
+
+    it('honours exceptions', () => {
+      assert.strictEqual(filter.check('https://cdn.example.com/ads/allowed.js', browserRequest('script', 'https://news.example.org/')), null);
+    });
+
+    it('applies regular expression rules', () => {
+      assert.ok(filter.check('https://img.example.com/banner42.gif', browserRequest('image', 'https://a.example/')));
+      assert.strictEqual(filter.check('https://img.example.com/banner.gif', browserRequest('image', 'https://a.example/')), null);
+    });
+
+    it('applies domain options to the page the request came from', () => {
+      const url = 'https://tracker.example.org/t.js';
+      assert.ok(filter.check(url, browserRequest('script', 'https://news.example.com/story')));
+      assert.strictEqual(filter.check(url, browserRequest('script', 'https://sports.news.example.com/')), null);
+      assert.strictEqual(filter.check(url, browserRequest('script', 'https://other.example/')), null);
+    });
+
+    it('skips rules with unsupported options', () => {
+      assert.strictEqual(filter.check('https://popups.example.com/', browserRequest('document')), null);
+    });
+  });
+
+  describe('element hiding', () => {
+    it('returns generic selectors for the tokens a page uses', () => {
+      const selectors = filter.hiddenSelectors('https://www.example.com/', ['.ad-banner', '.content']);
+      assert.deepStrictEqual(selectors.sort(), ['.ad-banner', 'a[href^="https://ads."]']);
+    });
+
+    it('adds site-specific selectors and leaves out excluded sites and exceptions', () => {
+      assert.ok(filter.hiddenSelectors('https://news.example.com/', []).includes('.sidebar-promo'));
+      assert.ok(!filter.hiddenSelectors('https://m.news.example.com/', []).includes('.sidebar-promo'));
+      assert.ok(!filter.hiddenSelectors('https://www.example.org/', ['.ad-banner']).includes('.ad-banner'));
+    });
+  });
+
+  describe('block page', () => {
+    it('escapes the values it shows', () => {
+      const html = filter.blockPage('http://bad.example/<script>', { category: 'ads', rule: '||bad.example^' });
+      assert.ok(html.includes('http://bad.example/&lt;script&gt;'));
+      assert.ok(html.includes('Test Proxy'));
+    });
+  });
+});
+
+describe('content filter in the proxy', () => {
+  let dir;
+  let origin;
+  let proxy;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-filter-'));
+    fs.writeFileSync(path.join(dir, 'hosts'), '0.0.0.0 blocked.example\n');
+    fs.writeFileSync(path.join(dir, 'ads.txt'), '[Adblock Plus 2.0]\n||127.0.0.1^*/status/418\n##.ad-banner\n');
+    origin = await startOrigin();
+    proxy = await startProxy({
+      filter: {
+        enabled: true,
+        lists: [{ category: 'malware', path: path.join(dir, 'hosts') }, { category: 'ads', path: path.join(dir, 'ads.txt') }],
+        reloadInterval: 50
+      }
+    });
+  });
+
+  after(async () => {
+    await proxy.close();
+    await origin.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('answers navigations with the block page', async () => {
+    const res = await fetch(proxied(proxy.url, 'http://blocked.example/page'), {
+      headers: { 'Sec-Fetch-Dest': 'document', Accept: 'text/html' }
+    });
+    assert.strictEqual(res.status, 403);
+    assert.match(res.headers['content-type'], /^text\/html/);
+    assert.strictEqual(res.headers['x-proxy-blocked'], 'malware');
+    assert.ok(res.text.includes('http://blocked.example/page'));
+  });
+
+  it('answers blocked subresources with an empty response', async () => {
+    const res = await fetch(proxied(proxy.url, `${origin.url}/status/418`), {
+      headers: { 'Sec-Fetch-Dest': 'script', Referer: proxied(proxy.url, `${origin.url}/fixtures/page.html`) }
+    });
+    assert.strictEqual(res.status, 204);
+    assert.strictEqual(res.body.length, 0);
+    assert.ok(!origin.requests.some(request => request.url === '/status/418'));
+    assert.match((await fetch(`${proxy.url}/metrics`)).text, /proxy_filter_blocks_total\{category="ads",type="script"\} 1/);
+  });
+
+  it('hides elements in rewritten pages', async () => {
+    const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/ads.html`));
+    assert.match(res.text, /<style data-proxy-filter="">\.ad-banner \{ display: none !important; \}<\/style><\/head>/);
+
+    // Pages that don't use the class get no rules
+    const page = await fetch(proxied(proxy.url, `${origin.url}/fixtures/page.html`));
+    assert.ok(!page.text.includes('data-proxy-filter'));
+  });
+
+  it('reloads lists when their file changes', async () => {
+    const url = proxied(proxy.url, `${origin.url}/echo`);
+    assert.strictEqual((await fetch(url)).status, 200);
+
+    fs.appendFileSync(path.join(dir, 'hosts'), '127.0.0.1 127.0.0.1\n');
+    // Hosts files never block "localhost" names, but an address listed as a name is fair game
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const res = await fetch(url, { headers: { 'Sec-Fetch-Dest': 'image' } });
+    assert.strictEqual(res.status, 204);
+
+    const stats = JSON.parse((await fetch(`${proxy.url}/filter/stats`)).text);
+    assert.deepStrictEqual(stats.lists.map(list => [list.category, list.rules]), [['malware', 2], ['ads', 2]]);
+  });
+});
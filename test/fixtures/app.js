@@ -0,0 +1,17 @@
+import { helper } from './helper.js';
+import config from '/config.js';
+import React from 'react';
+export * from '../shared/index.js';
+
+const page = new URL('./data.json', import.meta.url);
+fetch('https://api.example.net/items');
+fetch('/relative/items');
+import('./lazy.js').then(module => module.run());
+import(page.href);
+
+if (window.location.hostname === 'example.com') {
+  location.href = '/home';
+}
+console.log(document.domain, self.location.pathname);
+const message = 'see https://example.com/docs'; // strings that merely look like URLs stay
+//# sourceMappingURL=app.js.map
@@ -0,0 +1,17 @@
+import { helper } from "http://proxy.test/proxy/https/example.com/js/helper.js";
+import config from "http://proxy.test/proxy/https/example.com/config.js";
+import React from 'react';
+export * from "http://proxy.test/proxy/https/example.com/shared/index.js";
+
+const page = new URL('./data.json', "https://example.com/js/app.js");
+fetch("http://proxy.test/proxy/https/api.example.net/items");
+fetch('/relative/items');
+import("http://proxy.test/proxy/https/example.com/js/lazy.js").then(module => module.run());
+import((globalThis.__proxyRuntime ? globalThis.__proxyRuntime.importURL : String)(page.href, "https://example.com/js/app.js"));
+
+if ((globalThis.__proxyLocation || globalThis.location).hostname === 'example.com') {
+  (globalThis.__proxyLocation || globalThis.location).href = '/home';
+}
+console.log((globalThis.__proxyLocation ? globalThis.__proxyLocation.hostname : document.domain), (globalThis.__proxyLocation || globalThis.location).pathname);
+const message = 'see https://example.com/docs'; // strings that merely look like URLs stay
+
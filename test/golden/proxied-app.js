@@ -0,0 +1,18 @@
+import { helper } from "PROXY/proxy/http/ORIGIN/fixtures/helper.js";
+import config from "PROXY/proxy/http/ORIGIN/config.js";
+import React from 'react';
+export * from "PROXY/proxy/http/ORIGIN/shared/index.js";
+
+const page = new URL('./data.json', "http://ORIGIN/fixtures/app.js");
+fetch("PROXY/proxy/https/api.example.net/items");
+fetch('/relative/items');
+import("PROXY/proxy/http/ORIGIN/fixtures/lazy.js").then(module => module.run());
+import((globalThis.__proxyRuntime ? globalThis.__proxyRuntime.importURL : String)(page.href, "http://ORIGIN/fixtures/app.js"));
+
+if ((globalThis.__proxyLocation || globalThis.location).hostname === 'example.com') {
+  (globalThis.__proxyLocation || globalThis.location).href = '/home';
+}
+console.log((globalThis.__proxyLocation ? globalThis.__proxyLocation.hostname : document.domain), (globalThis.__proxyLocation || globalThis.location).pathname);
+const message = 'see https://example.com/docs'; // strings that merely look like URLs stay
+
+//# sourceMappingURL=MAP
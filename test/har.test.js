@@ -0,0 +1,76 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+describe('har', () => {
+  let origin;
+  let dir;
+
+  before(async () => {
+    origin = await startOrigin();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-har-'));
+  });
+
+  after(async () => {
+    await origin.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readEntries = file => JSON.parse(fs.readFileSync(file, 'utf8')).log.entries;
+
+  it('records exchanges and replays them without the network', async () => {
+    const file = path.join(dir, 'session.har');
+    const recorder = await startProxy({ har: { mode: 'record', file } });
+    let recorded;
+    try {
+      recorded = await fetch(proxied(recorder.url, `${origin.url}/fixtures/page.html`));
+      assert.strictEqual(recorded.status, 200);
+    } finally {
+      await recorder.close();
+    }
+
+    const [entry] = readEntries(file);
+    assert.strictEqual(entry.request.url, `${origin.url}/fixtures/page.html`);
+    assert.strictEqual(entry.response.status, 200);
+    assert.ok(entry.response.content.text.includes('<html'));
+    assert.strictEqual(entry._proxy.route, 'path');
+
+    const seen = origin.requests.length;
+    const player = await startProxy({ har: { mode: 'replay', file } });
+    try {
+      const replayed = await fetch(proxied(player.url, `${origin.url}/fixtures/page.html`));
+      assert.strictEqual(replayed.status, 200);
+      assert.strictEqual(replayed.text.split(player.url).join('PROXY'), recorded.text.split(recorder.url).join('PROXY'));
+      assert.strictEqual(origin.requests.length, seen);
+
+      const missing = await fetch(proxied(player.url, `${origin.url}/echo`));
+      assert.strictEqual(missing.status, 502);
+      assert.match(JSON.parse(missing.text).message, /Not in the recorded HAR/);
+    } finally {
+      await player.close();
+    }
+  });
+
+  it('records URLs without the proxy\'s API key', async () => {
+    const file = path.join(dir, 'auth.har');
+    const proxy = await startProxy({
+      auth: { enabled: true, keys: ['s3cret-key'], sessionSecret: 'test-secret' },
+      har: { mode: 'record', file }
+    });
+    try {
+      const res = await fetch(`${proxied(proxy.url, `${origin.url}/echo`)}?a=1&proxy_key=s3cret-key`);
+      assert.strictEqual(res.status, 200);
+    } finally {
+      await proxy.close();
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+    assert.ok(!text.includes('s3cret'));
+    const [entry] = readEntries(file);
+    assert.strictEqual(entry._proxy.url, `/proxy/http/${origin.host}/echo?a=1`);
+  });
+});
@@ -0,0 +1,29 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const GOLDEN_DIR = path.join(__dirname, '..', 'golden');
+
+// Compare output with the snapshot in test/golden/<name>. After an intended change to the
+// rewriters, refresh the snapshots with UPDATE_GOLDEN=1 npm test and review the diff.
+function matchGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  if (!fs.existsSync(file)) {
+    assert.fail(`Missing golden file test/golden/${name} - run UPDATE_GOLDEN=1 npm test to create it`);
+  }
+  assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `Output differs from test/golden/${name}`);
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+module.exports = {
+  matchGolden,
+  readFixture
+};
@@ -0,0 +1,58 @@
+const http = require('http');
+
+// Minimal HTTP client for the tests: resolves { status, headers, body (Buffer), text }.
+// options - { method, headers, body (string or Buffer) }
+function fetch(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method: options.method || 'GET', headers: options.headers || {} }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({ status: res.statusCode, headers: res.headers, body, text: body.toString('utf8') });
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+// Open a WebSocket tunnel at url, send a message and resolve what comes back first
+function echoOverWebSocket(url, message) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { headers: { Connection: 'Upgrade', Upgrade: 'websocket' } });
+    req.on('upgrade', (res, socket) => {
+      socket.once('data', (data) => {
+        socket.destroy();
+        resolve(data.toString());
+      });
+      socket.write(message);
+    });
+    req.on('response', res => reject(new Error(`No upgrade: ${res.statusCode}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Start server listening on an ephemeral loopback port; resolves its http://127.0.0.1:port origin
+function listen(server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => {
+    if (server.closeAllConnections) server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+module.exports = {
+  close,
+  echoOverWebSocket,
+  fetch,
+  listen
+};
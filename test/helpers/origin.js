@@ -0,0 +1,174 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const iconv = require('iconv-lite');
+const { close, listen } = require('./http');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Text in each of the legacy encodings the charset tests cover
+const CHARSET_PAGES = {
+  shift_jis: '<html><head><title>日本語のページ</title></head><body><p>こんにちは、世界</p><a href="/次へ">次へ</a></body></html>',
+  'windows-1252': '<html><head><meta charset="windows-1252"><title>Café</title></head><body><p>Crème brûlée – “quoted” €5</p></body></html>',
+  gbk: '<html><head><meta http-equiv="Content-Type" content="text/html; charset=gbk"><title>中文页面</title></head><body><p>你好，世界</p></body></html>'
+};
+
+// Served by /range - as HTML, so a rewritten copy would be easy to spot
+const RANGE_BODY = Buffer.from('<p>0123456789</p>'.repeat(10));
+
+// Local stand-in for the sites the proxy talks to. Every request it receives is kept in
+// origin.requests as { method, url, headers, body }.
+//
+//   /fixtures/<file>?cc=        - files from test/fixtures with their usual content types, and
+//                                 that Cache-Control if given
+//   /range                      - RANGE_BODY as text/html, answering a single Range with a 206
+//   /charset/<encoding>         - CHARSET_PAGES page in that encoding; shift_jis says so in the
+//                                 header, the others only in the document
+//   /redirect?to=<url>&status=  - redirect (302 unless status says otherwise)
+//   /cookies/set                - sets two cookies; /cookies/echo returns the Cookie header
+//   /echo, /api/*               - describes the request as JSON served as text/plain, so the
+//                                 proxy passes it through untouched
+//   /status/<code>              - empty response with that status
+//   /cached?cc=&etag=&vary=     - response with that Cache-Control, ETag (answering a matching
+//                                 If-None-Match with 304) and Vary; its body counts the requests
+//                                 for the URL and echoes the Vary header's value
+//   /hang                       - never answers
+//   WebSocket upgrades          - answered with a 101, after which every byte is echoed back
+async function startOrigin() {
+  const requests = [];
+  // URL -> times /cached served it
+  const served = new Map();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      route(req, res, body);
+    });
+  });
+
+  server.on('upgrade', (req, socket) => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.alloc(0) });
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+    socket.pipe(socket);
+  });
+
+  function route(req, res, body) {
+    const url = new URL(req.url, 'http://origin');
+    const segments = url.pathname.split('/');
+
+    if (segments[1] === 'fixtures') {
+      const file = path.join(FIXTURES, path.basename(url.pathname));
+      const types = {
+        '.html': 'text/html; charset=utf-8',
+        '.css': 'text/css',
+        '.js': 'application/javascript',
+        '.xml': 'application/rss+xml',
+        '.m3u8': 'application/vnd.apple.mpegurl',
+        '.mpd': 'application/dash+xml'
+      };
+      if (!fs.existsSync(file)) return send(res, 404, 'text/plain', 'Not found');
+      if (url.searchParams.has('cc')) res.setHeader('Cache-Control', url.searchParams.get('cc'));
+      return send(res, 200, types[path.extname(file)], fs.readFileSync(file));
+    }
+
+    switch (url.pathname) {
+      case '/range': {
+        const match = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+        if (!match) {
+          res.setHeader('Accept-Ranges', 'bytes');
+          return send(res, 200, 'text/html', RANGE_BODY);
+        }
+        const start = Number(match[1]);
+        const end = Math.min(match[2] ? Number(match[2]) : RANGE_BODY.length - 1, RANGE_BODY.length - 1);
+        res.writeHead(206, {
+          'Content-Type': 'text/html',
+          'Content-Range': `bytes ${start}-${end}/${RANGE_BODY.length}`,
+          'Accept-Ranges': 'bytes'
+        });
+        return res.end(RANGE_BODY.subarray(start, end + 1));
+      }
+
+      case '/charset/shift_jis':
+        return send(res, 200, 'text/html; charset=Shift_JIS', iconv.encode(CHARSET_PAGES.shift_jis, 'Shift_JIS'));
+      case '/charset/windows-1252':
+        return send(res, 200, 'text/html', iconv.encode(CHARSET_PAGES['windows-1252'], 'windows-1252'));
+      case '/charset/gbk':
+        return send(res, 200, 'text/html', iconv.encode(CHARSET_PAGES.gbk, 'gbk'));
+
+      case '/redirect':
+        res.writeHead(Number(url.searchParams.get('status') || 302), { Location: url.searchParams.get('to') });
+        return res.end();
+
+      case '/cookies/set':
+        res.setHeader('Set-Cookie', ['session=abc123; Path=/; HttpOnly', 'theme=dark; Path=/cookies']);
+        return send(res, 200, 'text/plain', 'cookies set');
+      case '/cookies/echo':
+        return send(res, 200, 'text/plain', req.headers.cookie || '');
+
+      case '/json':
+        return send(res, 200, 'application/json', JSON.stringify({
+          self: `${origin}/json`,
+          items: [{ href: `${origin}/items/1` }, { href: 'https://cdn.example.net/a.png' }],
+          note: 'plain text stays',
+          count: 2
+        }));
+
+      case '/cached': {
+        const etag = url.searchParams.get('etag');
+        const vary = url.searchParams.get('vary');
+        const headers = { 'Content-Type': 'text/plain' };
+        if (url.searchParams.has('cc')) headers['Cache-Control'] = url.searchParams.get('cc');
+        if (etag) headers.ETag = `"${etag}"`;
+        if (vary) headers.Vary = vary;
+        if (etag && req.headers['if-none-match'] === `"${etag}"`) {
+          res.writeHead(304, headers);
+          return res.end();
+        }
+        served.set(req.url, (served.get(req.url) || 0) + 1);
+        res.writeHead(200, headers);
+        return res.end(JSON.stringify({ count: served.get(req.url), vary: vary ? req.headers[vary.toLowerCase()] : null }));
+      }
+
+      case '/hang':
+        return; // Never answered - the proxy's upstream timeout has to kick in
+
+      default:
+        break;
+    }
+
+    if (url.pathname === '/echo' || segments[1] === 'api') {
+      return send(res, 200, 'text/plain', JSON.stringify({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body.toString('base64')
+      }));
+    }
+    if (segments[1] === 'status') {
+      return send(res, Number(segments[2]), 'text/plain', '');
+    }
+    send(res, 404, 'text/plain', 'Not found');
+  }
+
+  function send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+  }
+
+  const origin = await listen(server);
+  return {
+    url: origin,
+    host: new URL(origin).host,
+    requests,
+    close: () => close(server)
+  };
+}
+
+module.exports = {
+  CHARSET_PAGES,
+  RANGE_BODY,
+  startOrigin
+};
@@ -0,0 +1,45 @@
+const { createProxyServer } = require('../../lib/proxy-server');
+
+// Defaults for a proxy under test: the fixture origin lives on loopback, which the SSRF guard
+// blocks by default; logs are silenced and the cache is off unless a test turns it on
+const TEST_OPTIONS = {
+  guard: { allowedRanges: ['127.0.0.0/8'] },
+  cache: { enabled: false },
+  log: { level: 'silent', access: 'off' },
+  builtinPlugins: { youtube: false }
+};
+
+function merge(base, overrides) {
+  const result = { ...base };
+  Object.keys(overrides).forEach(key => {
+    const value = overrides[key];
+    result[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key]
+      ? merge(base[key], value)
+      : value;
+  });
+  return result;
+}
+
+// Start a proxy on an ephemeral port. options - createProxyServer options over TEST_OPTIONS.
+// Resolves { url, proxy, close() }
+async function startProxy(options = {}) {
+  const proxy = createProxyServer(merge(TEST_OPTIONS, options));
+  const server = proxy.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    proxy,
+    close: () => proxy.close()
+  };
+}
+
+// Proxied path-form URL of an http:// target
+function proxied(proxyUrl, targetUrl) {
+  const target = new URL(targetUrl);
+  return `${proxyUrl}/proxy/http/${target.host}${target.pathname}${target.search}`;
+}
+
+module.exports = {
+  proxied,
+  startProxy
+};
@@ -0,0 +1,43 @@
+const vm = require('vm');
+
+// Run the service worker source (lib/client/sw.js) in a sandbox standing in for the browser's
+// worker scope, loaded from scriptUrl. Returns { handle(url, { referrer, clientUrl }) }, which
+// dispatches a fetch event and resolves with the URL the worker sent to the network.
+function loadServiceWorker(source, scriptUrl) {
+  const listeners = {};
+  const clients = new Map();
+  const sent = [];
+
+  const sandbox = {
+    URL,
+    Request,
+    console: { warn() {} },
+    fetch: async (request) => {
+      sent.push(typeof request === 'string' ? request : request.url);
+      return new Response('');
+    },
+    self: {
+      location: { href: scriptUrl },
+      clients: { get: async id => clients.get(id) || null, claim: async () => {} },
+      skipWaiting() {},
+      addEventListener: (type, listener) => { listeners[type] = listener; }
+    }
+  };
+  vm.runInNewContext(source, sandbox);
+
+  async function handle(url, { referrer = '', clientUrl } = {}) {
+    const clientId = clientUrl ? `client-${clients.size}` : '';
+    if (clientUrl) clients.set(clientId, { url: clientUrl });
+
+    let response = null;
+    listeners.fetch({ request: { url, referrer }, clientId, respondWith: (promise) => { response = promise; } });
+    await response;
+    return sent.pop();
+  }
+
+  return { handle };
+}
+
+module.exports = {
+  loadServiceWorker
+};
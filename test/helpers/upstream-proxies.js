@@ -0,0 +1,125 @@
+const http = require('http');
+const net = require('net');
+const { close, listen } = require('./http');
+
+// Stand-ins for the upstream proxies lib/egress.js sends requests through. Each records the
+// targets it was asked to reach in `targets` as 'host:port'.
+
+// Forward proxy: absolute-form requests for http targets, CONNECT tunnels for the rest.
+// auth - 'user:pass' the proxy demands in Proxy-Authorization, if any
+async function startHttpProxy({ auth } = {}) {
+  const targets = [];
+  const expected = auth ? `Basic ${Buffer.from(auth).toString('base64')}` : null;
+  const authorized = req => !expected || req.headers['proxy-authorization'] === expected;
+
+  const server = http.createServer((req, res) => {
+    const target = new URL(req.url);
+    targets.push(target.host);
+    if (!authorized(req)) {
+      res.writeHead(407, { 'Proxy-Authenticate': 'Basic realm="test"' });
+      return res.end();
+    }
+    const headers = { ...req.headers };
+    delete headers['proxy-authorization'];
+    const upstream = http.request(target, { method: req.method, headers }, (response) => {
+      res.writeHead(response.statusCode, response.headers);
+      response.pipe(res);
+    });
+    upstream.on('error', () => res.destroy());
+    req.pipe(upstream);
+  });
+
+  server.on('connect', (req, socket, head) => {
+    targets.push(req.url);
+    if (!authorized(req)) {
+      return socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+    }
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(Number(port), host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      upstream.write(head);
+      upstream.pipe(socket).pipe(upstream);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+  });
+
+  const url = await listen(server);
+  return { url, targets, close: () => close(server) };
+}
+
+// SOCKS5 server supporting CONNECT with no authentication, or username/password when given
+async function startSocksProxy({ username, password } = {}) {
+  const targets = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    let buffered = Buffer.alloc(0);
+    let stage = 'greeting';
+
+    const onData = (chunk) => {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      if (stage === 'greeting' && buffered.length >= 2 && buffered.length >= 2 + buffered[1]) {
+        const methods = [...buffered.subarray(2, 2 + buffered[1])];
+        buffered = buffered.subarray(2 + buffered[1]);
+        const method = username ? 2 : 0;
+        if (!methods.includes(method)) return socket.end(Buffer.from([5, 0xff]));
+        socket.write(Buffer.from([5, method]));
+        stage = username ? 'auth' : 'request';
+      }
+
+      if (stage === 'auth' && buffered.length >= 2) {
+        const userLength = buffered[1];
+        if (buffered.length < 3 + userLength || buffered.length < 3 + userLength + buffered[2 + userLength]) return;
+        const passLength = buffered[2 + userLength];
+        const user = buffered.subarray(2, 2 + userLength).toString();
+        const pass = buffered.subarray(3 + userLength, 3 + userLength + passLength).toString();
+        buffered = buffered.subarray(3 + userLength + passLength);
+        if (user !== username || pass !== password) return socket.end(Buffer.from([1, 1]));
+        socket.write(Buffer.from([1, 0]));
+        stage = 'request';
+      }
+
+      if (stage === 'request' && buffered.length >= 5) {
+        const type = buffered[3];
+        const addressLength = type === 1 ? 4 : type === 4 ? 16 : 1 + buffered[4];
+        if (buffered.length < 6 + addressLength) return;
+        const address = buffered.subarray(4, 4 + addressLength);
+        const host = type === 1 ? [...address].join('.') : type === 3 ? address.subarray(1).toString() : null;
+        const port = buffered.readUInt16BE(4 + addressLength);
+        buffered = buffered.subarray(6 + addressLength);
+        stage = 'connecting';
+        socket.removeListener('data', onData);
+        targets.push(`${host}:${port}`);
+
+        const upstream = net.connect(port, host === 'localhost' ? '127.0.0.1' : host, () => {
+          socket.write(Buffer.from([5, 0, 0, 1, 0, 0, 0, 0, 0, 0]));
+          if (buffered.length) upstream.write(buffered);
+          upstream.pipe(socket).pipe(upstream);
+        });
+        upstream.on('error', () => socket.end(Buffer.from([5, 5, 0, 1, 0, 0, 0, 0, 0, 0])));
+        socket.on('close', () => upstream.destroy());
+      }
+    };
+    socket.on('data', onData);
+  });
+
+  await listen(server);
+  return {
+    url: `socks5://127.0.0.1:${server.address().port}`,
+    targets,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  startHttpProxy,
+  startSocksProxy
+};
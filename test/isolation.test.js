@@ -0,0 +1,113 @@
+const assert = require('assert');
+const { hostForLabel, labelForHost, proxyBaseFor } = require('../lib/isolation');
+const { rewriteURL } = require('../lib/rewrite');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+const { loadServiceWorker } = require('./helpers/service-worker');
+
+describe('isolation', () => {
+  describe('labels', () => {
+    it('round-trips hostnames that fit a label', () => {
+      ['example.com', 'www.my-site.co.uk', 'a--b.test', '127.0.0.1'].forEach(hostname => {
+        assert.strictEqual(hostForLabel(labelForHost(hostname)), hostname);
+      });
+      assert.strictEqual(labelForHost('www.my-site.co.uk'), 'www-my--site-co-uk');
+    });
+
+    it('hashes names that do not fit, and does not decode them', () => {
+      const label = labelForHost(`${'a'.repeat(70)}.com`);
+      assert.match(label, /^h0--[0-9a-f]{40}$/);
+      assert.strictEqual(hostForLabel(label), null);
+      assert.match(labelForHost('[::1]'), /^h0--/);
+    });
+  });
+
+  describe('rewriting', () => {
+    const BASE = 'http://*.p.localhost:3000/mount';
+
+    it('points URLs at their targets\' subdomains', () => {
+      assert.strictEqual(proxyBaseFor(BASE, 'https://example.com/a'), 'http://example-com.p.localhost:3000/mount');
+      assert.strictEqual(rewriteURL('https://cdn.example.net/lib.js', 'https://example.com/', BASE),
+        'http://cdn-example-net.p.localhost:3000/mount/proxy/https/cdn.example.net/lib.js');
+      assert.strictEqual(rewriteURL('/next?q=1', 'https://example.com/page', BASE),
+        'http://example-com.p.localhost:3000/mount/proxy/https/example.com/next?q=1');
+    });
+
+    it('leaves bases without a wildcard alone', () => {
+      assert.strictEqual(proxyBaseFor('http://proxy.test', 'https://example.com/'), 'http://proxy.test');
+    });
+  });
+
+  describe('in the proxy', () => {
+    let origin;
+    let proxy;
+    let port;
+
+    before(async () => {
+      origin = await startOrigin();
+      proxy = await startProxy({ isolation: { enabled: true, domain: 'p.localhost' } });
+      port = new URL(proxy.url).port;
+    });
+
+    after(async () => {
+      await proxy.close();
+      await origin.close();
+    });
+
+    const onHost = (label, url, headers = {}) => fetch(url, { headers: { Host: `${label}p.localhost:${port}`, ...headers } });
+    const page = { 'Sec-Fetch-Dest': 'document' };
+
+    it('serves pages on their own subdomain with links to the others', async () => {
+      const res = await onHost('127-0-0-1.', proxied(proxy.url, `${origin.url}/fixtures/page.html`), page);
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.text.includes(`src="http://cdn-example-net.p.localhost:${port}/proxy/https/cdn.example.net/lib.js"`));
+      assert.ok(res.text.includes(`src="http://127-0-0-1.p.localhost:${port}/__proxy/runtime.js`));
+      assert.ok(res.text.includes(`data-isolated-base="http://*.p.localhost:${port}"`));
+    });
+
+    it('moves pages opened on another host to their subdomain', async () => {
+      const target = proxied(proxy.url, `${origin.url}/fixtures/page.html`);
+      for (const label of ['', 'example-com.']) {
+        const res = await onHost(label, target, page);
+        assert.strictEqual(res.status, 307, label);
+        assert.strictEqual(res.headers.location, target.replace(proxy.url, `http://127-0-0-1.p.localhost:${port}`));
+      }
+    });
+
+    it('serves subresources on any subdomain', async () => {
+      const res = await onHost('example-com.', proxied(proxy.url, `${origin.url}/fixtures/style.css`));
+      assert.strictEqual(res.status, 200);
+    });
+
+    it('has the service worker treat every subdomain as the proxy', async () => {
+      const withWorker = await startProxy({ isolation: { enabled: true, domain: 'p.localhost' }, serviceWorker: { enabled: true } });
+      const workerPort = new URL(withWorker.url).port;
+      const headers = { Host: `127-0-0-1.p.localhost:${workerPort}`, ...page };
+      let worker;
+      try {
+        const res = await fetch(proxied(withWorker.url, `${origin.url}/fixtures/page.html`), { headers });
+        const scriptUrl = res.text.match(/data-service-worker="([^"]+)"/)[1];
+        assert.ok(scriptUrl.startsWith(`http://127-0-0-1.p.localhost:${workerPort}/__proxy/sw.js?isolated=`));
+        const source = (await fetch(`${withWorker.url}/__proxy/sw.js`)).text;
+        worker = loadServiceWorker(source, scriptUrl);
+      } finally {
+        await withWorker.close();
+      }
+
+      const onSubdomain = `http://cdn-example-net.p.localhost:${workerPort}/proxy/https/cdn.example.net/lib.js`;
+      assert.strictEqual(await worker.handle(onSubdomain), onSubdomain);
+      assert.strictEqual(await worker.handle('https://cdn.example.net/lib.js'), onSubdomain);
+    });
+
+    it('routes paths outside /proxy/ to the host the subdomain is labelled for', async () => {
+      // https://127.0.0.1/ isn't listening, but it is where the request went
+      const res = await onHost('127-0-0-1.', `${proxy.url}/some/page`);
+      assert.strictEqual(res.status, 502);
+      assert.match(JSON.parse(res.text).message, /127\.0\.0\.1:443/);
+
+      const bare = await onHost('', `${proxy.url}/some/page`);
+      assert.strictEqual(bare.status, 404);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+describe('access log', () => {
+  let origin;
+  let dir;
+
+  before(async () => {
+    origin = await startOrigin();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-log-'));
+  });
+
+  after(async () => {
+    await origin.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Start a proxy logging to a fresh file, run requests against it and resolve the log's lines
+  async function logged(format, requests) {
+    const accessFile = path.join(dir, `${format}-${Date.now()}.log`);
+    const proxy = await startProxy({ log: { access: format, accessFile } });
+    try {
+      await requests(proxy);
+    } finally {
+      // close() flushes the file
+      await proxy.close();
+    }
+    return fs.readFileSync(accessFile, 'utf8').split('\n').filter(Boolean);
+  }
+
+  it('writes a combined format line per request', async () => {
+    const lines = await logged('combined', async (proxy) => {
+      await fetch(proxied(proxy.url, `${origin.url}/echo?a=1`), { headers: { Referer: 'http://page.test/', 'User-Agent': 'test "agent"' } });
+    });
+    assert.strictEqual(lines.length, 1);
+    assert.match(lines[0], new RegExp(
+      `^127\\.0\\.0\\.1 - - \\[\\d{2}/\\w{3}/\\d{4}:\\d{2}:\\d{2}:\\d{2} \\+0000\\] "GET /proxy/http/${origin.host}/echo\\?a=1 HTTP/1\\.1" 200 \\d+ ` +
+      '"http://page\\.test/" "test \\\\"agent\\\\""$'
+    ));
+  });
+
+  it('writes JSON lines with the request id and route', async () => {
+    let requestId;
+    const lines = await logged('json', async (proxy) => {
+      requestId = (await fetch(proxied(proxy.url, `${origin.url}/status/404`))).headers['x-request-id'];
+      await fetch(`${proxy.url}/health`);
+    });
+    const entries = lines.map(line => JSON.parse(line));
+    assert.strictEqual(entries.length, 2);
+    assert.strictEqual(entries[0].requestId, requestId);
+    assert.strictEqual(entries[0].status, 404);
+    assert.strictEqual(entries[0].route, 'path');
+    assert.strictEqual(entries[0].url, `/proxy/http/${origin.host}/status/404`);
+    assert.strictEqual(entries[1].route, 'internal');
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+describe('metrics', () => {
+  let origin;
+  let proxy;
+
+  before(async () => {
+    origin = await startOrigin();
+    proxy = await startProxy();
+  });
+
+  after(async () => {
+    await proxy.close();
+    await origin.close();
+  });
+
+  // Value of the sample with exactly that name and labels, or undefined
+  function sample(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+  }
+
+  it('counts requests by route and upstream responses by status', async () => {
+    assert.strictEqual((await fetch(proxied(proxy.url, `${origin.url}/echo`))).status, 200);
+    assert.strictEqual((await fetch(proxied(proxy.url, `${origin.url}/status/404`))).status, 404);
+    assert.strictEqual((await fetch(`${proxy.url}/proxy?url=${encodeURIComponent(`${origin.url}/echo`)}`)).status, 200);
+
+    const res = await fetch(`${proxy.url}/metrics`);
+    assert.strictEqual(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.strictEqual(sample(res.text, 'proxy_requests_total{route="path",method="GET",status="200"}'), 1);
+    assert.strictEqual(sample(res.text, 'proxy_requests_total{route="path",method="GET",status="404"}'), 1);
+    assert.strictEqual(sample(res.text, 'proxy_requests_total{route="query",method="GET",status="200"}'), 1);
+    assert.strictEqual(sample(res.text, 'proxy_upstream_responses_total{status="200"}'), 2);
+    assert.strictEqual(sample(res.text, 'proxy_egress_requests_total{via="direct"}'), 3);
+    assert.strictEqual(sample(res.text, 'proxy_request_duration_seconds_count{route="path"}'), 2);
+    assert.strictEqual(sample(res.text, 'proxy_websocket_tunnels'), 0);
+  });
+
+  it('counts upstream failures by error code', async () => {
+    // Nothing listens on port 9 of loopback
+    assert.strictEqual((await fetch(proxied(proxy.url, 'http://127.0.0.1:9/'))).status, 502);
+    const res = await fetch(`${proxy.url}/metrics`);
+    assert.strictEqual(sample(res.text, 'proxy_upstream_errors_total{code="ECONNREFUSED"}'), 1);
+  });
+
+  it('is not served when metrics.enabled is off', async () => {
+    const quiet = await startProxy({ metrics: { enabled: false } });
+    try {
+      assert.strictEqual((await fetch(`${quiet.url}/metrics`)).status, 404);
+    } finally {
+      await quiet.close();
+    }
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { createPluginPipeline } = require('../lib/plugins');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+describe('plugins', () => {
+  it('rejects unknown hooks', () => {
+    assert.throws(() => createPluginPipeline([{ name: 'typo', onHtml() {} }]), /Plugin "typo": unknown hook onHtml/);
+  });
+
+  describe('in the proxy', () => {
+    let origin;
+    let proxy;
+    // Hooks called for other hosts, which there should be none of
+    const strays = [];
+
+    before(async () => {
+      origin = await startOrigin();
+      proxy = await startProxy({
+        plugins: [
+          {
+            name: 'elsewhere',
+            hosts: ['example.com', '*.example.com'],
+            onRequest: (options, context) => { strays.push(context.hostname); }
+          },
+          {
+            name: 'broken',
+            onJSON() { throw new Error('broken plugin'); }
+          },
+          {
+            name: 'test',
+            hosts: ['127.0.0.1'],
+            onRequest(options, context) {
+              if (context.targetUrl.endsWith('/answered')) {
+                context.res.json({ from: 'plugin' });
+                return true;
+              }
+              options.headers['X-Plugin'] = context.route;
+            },
+            onUpstreamResponse(response) {
+              response.headers['x-upstream-seen'] = String(response.statusCode);
+            },
+            onHTML($, context) {
+              $('body').attr('data-plugin', context.hostname);
+            },
+            onCSS: css => `${css}\n/* plugin */`,
+            onJS: js => `${js}\n// plugin`,
+            onJSON: json => ({ ...json, plugin: true }),
+            onError(err, context) {
+              context.res.status(503).json({ error: 'Plugin fallback', message: err.code });
+              return true;
+            }
+          }
+        ]
+      });
+    });
+
+    after(async () => {
+      await proxy.close();
+      await origin.close();
+    });
+
+    it('edits the upstream request and response', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`));
+      assert.strictEqual(JSON.parse(res.text).headers['x-plugin'], 'path');
+      assert.strictEqual(res.headers['x-upstream-seen'], '200');
+    });
+
+    it('lets onRequest answer the request itself', async () => {
+      const seen = origin.requests.length;
+      const res = await fetch(proxied(proxy.url, `${origin.url}/answered`));
+      assert.deepStrictEqual(JSON.parse(res.text), { from: 'plugin' });
+      assert.strictEqual(origin.requests.length, seen);
+    });
+
+    it('transforms rewritten pages, stylesheets, scripts and JSON', async () => {
+      const page = await fetch(proxied(proxy.url, `${origin.url}/fixtures/page.html`));
+      assert.match(page.text, /<body[^>]* data-plugin="127\.0\.0\.1"/);
+      const css = await fetch(proxied(proxy.url, `${origin.url}/fixtures/style.css`));
+      assert.ok(css.text.endsWith('\n/* plugin */'));
+      const js = await fetch(proxied(proxy.url, `${origin.url}/fixtures/app.js`));
+      assert.ok(js.text.endsWith('\n// plugin'));
+      // The broken plugin before it is skipped
+      const json = await fetch(proxied(proxy.url, `${origin.url}/json`));
+      assert.strictEqual(JSON.parse(json.text).plugin, true);
+    });
+
+    it('lets onError answer failed upstream requests', async () => {
+      // Nothing listens on port 9 of loopback
+      const res = await fetch(proxied(proxy.url, 'http://127.0.0.1:9/'));
+      assert.strictEqual(res.status, 503);
+      assert.deepStrictEqual(JSON.parse(res.text), { error: 'Plugin fallback', message: 'ECONNREFUSED' });
+    });
+
+    it('only runs plugins for their hosts', () => {
+      assert.deepStrictEqual(strays, []);
+    });
+  });
+});
@@ -0,0 +1,353 @@
+const assert = require('assert');
+const iconv = require('iconv-lite');
+const { echoOverWebSocket, fetch } = require('./helpers/http');
+const { matchGolden } = require('./helpers/golden');
+const { CHARSET_PAGES, RANGE_BODY, startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+
+// Golden files hold the fixture origin as ORIGIN and the proxy as PROXY, since both
+// listen on ephemeral ports
+function normalize(text, origin, proxy) {
+  return text
+    .split(proxy.url).join('PROXY')
+    .split(origin.host).join('ORIGIN');
+}
+
+describe('proxy', () => {
+  let origin;
+  let proxy;
+
+  before(async () => {
+    origin = await startOrigin();
+    proxy = await startProxy();
+  });
+
+  after(async () => {
+    await proxy.close();
+    await origin.close();
+  });
+
+  describe('routes', () => {
+    it('answers the health check', async () => {
+      const res = await fetch(`${proxy.url}/health`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(JSON.parse(res.text), { status: 'ok' });
+    });
+
+    it('proxies the query form', async () => {
+      const res = await fetch(`${proxy.url}/proxy?url=${encodeURIComponent(`${origin.url}/echo?a=1`)}`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(JSON.parse(res.text).url, '/echo?a=1');
+    });
+
+    it('proxies the path form with its query string', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo?a=1&b=2`));
+      assert.strictEqual(JSON.parse(res.text).url, '/echo?a=1&b=2');
+    });
+
+    it('rejects a missing or invalid target', async () => {
+      const missing = await fetch(`${proxy.url}/proxy`);
+      assert.strictEqual(missing.status, 400);
+      assert.strictEqual(JSON.parse(missing.text).error, 'Missing URL');
+
+      const invalid = await fetch(`${proxy.url}/proxy?url=not-a-url`);
+      assert.strictEqual(invalid.status, 400);
+      assert.strictEqual(JSON.parse(invalid.text).error, 'Invalid URL');
+    });
+
+    it('sends script requests to the origin of a proxied referer', async () => {
+      const res = await fetch(`${proxy.url}/api/items?page=2`, {
+        headers: { Referer: proxied(proxy.url, `${origin.url}/fixtures/page.html`) }
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(JSON.parse(res.text).url, '/api/items?page=2');
+    });
+
+    it('refuses unknown paths without a proxied referer', async () => {
+      const res = await fetch(`${proxy.url}/api/items`);
+      assert.strictEqual(res.status, 404);
+      assert.strictEqual(JSON.parse(res.text).error, 'Not found');
+    });
+  });
+
+  describe('rewriting', () => {
+    it('rewrites HTML pages', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/page.html`));
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/html/);
+      matchGolden('proxied-page.html', normalize(res.text, origin, proxy));
+    });
+
+    it('rewrites stylesheets', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/style.css`));
+      matchGolden('proxied-style.css', normalize(res.text, origin, proxy));
+    });
+
+    it('rewrites scripts and serves their source maps', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/app.js`));
+      const mapUrl = res.text.match(/\/\/# sourceMappingURL=(\S+)\n$/)[1];
+      // The map id hashes the proxy base, which has a random port, so it stays out of the golden file
+      matchGolden('proxied-app.js', normalize(res.text.replace(mapUrl, 'MAP'), origin, proxy));
+
+      const map = await fetch(new URL(mapUrl, proxy.url).href);
+      assert.strictEqual(map.status, 200);
+      assert.strictEqual(JSON.parse(map.text).version, 3);
+
+      // Fetching the script again reuses its map
+      const again = await fetch(proxied(proxy.url, `${origin.url}/fixtures/app.js`));
+      assert.strictEqual(again.text.match(/\/\/# sourceMappingURL=(\S+)\n$/)[1], mapUrl);
+    });
+
+    it('rewrites URLs in JSON', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/json`));
+      assert.deepStrictEqual(JSON.parse(res.text), {
+        self: proxied(proxy.url, `${origin.url}/json`),
+        items: [{ href: proxied(proxy.url, `${origin.url}/items/1`) }, { href: `${proxy.url}/proxy/https/cdn.example.net/a.png` }],
+        note: 'plain text stays',
+        count: 2
+      });
+    });
+
+    it('rewrites feeds', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/feed.xml`));
+      matchGolden('proxied-feed.xml', normalize(res.text, origin, proxy));
+    });
+
+    it('rewrites HLS playlists', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/playlist.m3u8`));
+      assert.strictEqual(res.status, 200);
+      matchGolden('proxied-playlist.m3u8', normalize(res.text, origin, proxy));
+    });
+
+    it('rewrites DASH manifests', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/fixtures/manifest.mpd`));
+      assert.strictEqual(res.status, 200);
+      matchGolden('proxied-manifest.mpd', normalize(res.text, origin, proxy));
+    });
+  });
+
+  describe('charsets', () => {
+    // Rewritten documents are always sent as UTF-8
+    Object.keys(CHARSET_PAGES).forEach(charset => {
+      it(`decodes ${charset} pages`, async () => {
+        const res = await fetch(proxied(proxy.url, `${origin.url}/charset/${charset}`));
+        assert.match(res.headers['content-type'], /charset=utf-8/i);
+        const title = CHARSET_PAGES[charset].match(/<title>(.*?)<\/title>/)[1];
+        assert.ok(res.text.includes(`<title>${title}</title>`), res.text);
+      });
+    });
+
+    it('does not double-encode the original bytes', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/charset/shift_jis`));
+      assert.ok(!res.body.includes(iconv.encode('こんにちは', 'Shift_JIS')));
+      assert.ok(res.text.includes('こんにちは、世界'));
+    });
+  });
+
+  describe('redirects', () => {
+    it('follows redirects upstream by default and rewrites against the final URL', async () => {
+      const target = `${origin.url}/redirect?to=${encodeURIComponent('/fixtures/page.html')}`;
+      const res = await fetch(proxied(proxy.url, target));
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.text.includes(`data-target-url="${origin.url}/fixtures/page.html"`));
+    });
+
+    describe('in rewrite mode', () => {
+      let rewriting;
+
+      before(async () => {
+        rewriting = await startProxy({ redirectMode: 'rewrite' });
+      });
+
+      after(() => rewriting.close());
+
+      it('passes relative redirects to the browser as proxy URLs', async () => {
+        const res = await fetch(proxied(rewriting.url, `${origin.url}/redirect?to=/echo&status=301`));
+        assert.strictEqual(res.status, 301);
+        assert.strictEqual(res.headers.location, proxied(rewriting.url, `${origin.url}/echo`));
+      });
+
+      it('passes cross-origin redirects to the browser as proxy URLs', async () => {
+        const to = encodeURIComponent('https://elsewhere.example/landing?x=1');
+        const res = await fetch(proxied(rewriting.url, `${origin.url}/redirect?to=${to}`));
+        assert.strictEqual(res.status, 302);
+        assert.strictEqual(res.headers.location, `${rewriting.url}/proxy/https/elsewhere.example/landing?x=1`);
+      });
+    });
+  });
+
+  describe('cookies', () => {
+    it('namespaces upstream cookies under the proxied host', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/cookies/set`));
+      const cookies = res.headers['set-cookie'];
+      const hostname = new URL(origin.url).hostname;
+
+      assert.ok(cookies.includes(`session@${hostname}=abc123; Path=/proxy/http/${origin.host}/; HttpOnly`), cookies.join('\n'));
+      assert.ok(cookies.includes(`theme@${hostname}=dark; Path=/proxy/http/${origin.host}/cookies`), cookies.join('\n'));
+      assert.ok(cookies.some(cookie => cookie.startsWith('__proxy_sid=')));
+    });
+
+    it('forwards only the target host\'s cookies, under their original names', async () => {
+      const hostname = new URL(origin.url).hostname;
+      const res = await fetch(proxied(proxy.url, `${origin.url}/cookies/echo`), {
+        headers: { Cookie: `session@${hostname}=abc123; other@elsewhere.example=nope; plain=1` }
+      });
+      assert.strictEqual(res.text, 'session=abc123');
+    });
+
+    it('replays cookies from the session jar', async () => {
+      const set = await fetch(proxied(proxy.url, `${origin.url}/cookies/set`));
+      const sessionCookie = set.headers['set-cookie'].find(cookie => cookie.startsWith('__proxy_sid=')).split(';')[0];
+
+      const res = await fetch(proxied(proxy.url, `${origin.url}/cookies/echo`), { headers: { Cookie: sessionCookie } });
+      // Longer paths first, as RFC 6265 orders them
+      assert.strictEqual(res.text, 'theme=dark; session=abc123');
+      assert.ok(!res.text.includes('__proxy_sid'));
+    });
+
+    it('expires the browser\'s namespaced cookies when the session is cleared', async () => {
+      const hostname = new URL(origin.url).hostname;
+      const set = await fetch(proxied(proxy.url, `${origin.url}/cookies/set`));
+      const sessionCookie = set.headers['set-cookie'].find(cookie => cookie.startsWith('__proxy_sid=')).split(';')[0];
+      // A cookie a page script set through the client runtime
+      await fetch(proxied(proxy.url, `${origin.url}/cookies/echo`), { headers: { Cookie: `${sessionCookie}; js@${hostname}=1` } });
+
+      const res = await fetch(`${proxy.url}/session/clear`, { method: 'POST', headers: { Cookie: sessionCookie } });
+      const expired = res.headers['set-cookie'];
+      assert.ok(expired.includes(`session@${hostname}=; Path=/proxy/http/${origin.host}/; Max-Age=0`), expired.join('\n'));
+      assert.ok(expired.includes(`theme@${hostname}=; Path=/proxy/http/${origin.host}/cookies; Max-Age=0`), expired.join('\n'));
+      ['/proxy/', `/proxy/http/${origin.host}/`, `/proxy/http/${origin.host}/cookies/echo`].forEach(path => {
+        assert.ok(expired.includes(`js@${hostname}=; Path=${path}; Max-Age=0`), path);
+      });
+
+      const echo = await fetch(proxied(proxy.url, `${origin.url}/cookies/echo`), { headers: { Cookie: sessionCookie } });
+      assert.strictEqual(echo.text, '');
+    });
+  });
+
+  describe('request bodies', () => {
+    it('forwards POST bodies byte for byte', async () => {
+      const body = Buffer.from([0, 1, 2, 255, 254, 10, 13, 0x80]);
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': body.length },
+        body
+      });
+      const echoed = JSON.parse(res.text);
+      assert.strictEqual(echoed.method, 'POST');
+      assert.strictEqual(echoed.headers['content-type'], 'application/octet-stream');
+      assert.deepStrictEqual(Buffer.from(echoed.body, 'base64'), body);
+    });
+
+    it('forwards multipart bodies with their boundary', async () => {
+      const boundary = 'fixture-boundary';
+      const body = [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="title"',
+        '',
+        'Hello',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="file"; filename="a.bin"',
+        'Content-Type: application/octet-stream',
+        '',
+        '\u0000\u0001binary',
+        `--${boundary}--`,
+        ''
+      ].join('\r\n');
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`), {
+        method: 'PUT',
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+        body
+      });
+      const echoed = JSON.parse(res.text);
+      assert.strictEqual(echoed.method, 'PUT');
+      assert.strictEqual(echoed.headers['content-type'], `multipart/form-data; boundary=${boundary}`);
+      assert.strictEqual(Buffer.from(echoed.body, 'base64').toString(), body);
+    });
+
+    it('does not forward the proxy\'s own cookies with the body', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/echo`), {
+        method: 'POST',
+        headers: { Cookie: '__proxy_sid=secret', 'Content-Type': 'text/plain' },
+        body: 'hello'
+      });
+      assert.strictEqual(JSON.parse(res.text).headers.cookie, undefined);
+    });
+  });
+
+  describe('ranges', () => {
+    it('streams partial content untouched', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/range`), { headers: { Range: 'bytes=5-24' } });
+      assert.strictEqual(res.status, 206);
+      assert.strictEqual(res.headers['content-range'], `bytes 5-24/${RANGE_BODY.length}`);
+      assert.deepStrictEqual(res.body, RANGE_BODY.subarray(5, 25));
+
+      // Ranges count encoded bytes, so the origin is asked for the identity encoding
+      const sent = origin.requests[origin.requests.length - 1];
+      assert.strictEqual(sent.headers.range, 'bytes=5-24');
+      assert.strictEqual(sent.headers['accept-encoding'], 'identity');
+    });
+  });
+
+  describe('websockets', () => {
+    it('tunnels WebSockets to the target', async () => {
+      assert.strictEqual(await echoOverWebSocket(`${proxy.url}/proxy/ws/${origin.host}/socket?room=1`, 'ping'), 'ping');
+      const sent = origin.requests[origin.requests.length - 1];
+      assert.strictEqual(sent.url, '/socket?room=1');
+      assert.strictEqual(sent.headers.upgrade, 'websocket');
+    });
+  });
+
+  describe('errors', () => {
+    it('passes upstream error statuses through', async () => {
+      const res = await fetch(proxied(proxy.url, `${origin.url}/status/503`));
+      assert.strictEqual(res.status, 503);
+    });
+
+    it('answers 502 when the upstream refuses the connection', async () => {
+      // Nothing listens on port 9 of loopback
+      const res = await fetch(proxied(proxy.url, 'http://127.0.0.1:9/'));
+      assert.strictEqual(res.status, 502);
+      const body = JSON.parse(res.text);
+      assert.strictEqual(body.error, 'Failed to fetch URL');
+      assert.match(body.message, /ECONNREFUSED/);
+    });
+
+    it('answers 403 for private targets the guard does not allow', async () => {
+      const guarded = await startProxy({ guard: { allowedRanges: [] } });
+      try {
+        const res = await fetch(proxied(guarded.url, `${origin.url}/echo`));
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(JSON.parse(res.text).error, 'Forbidden target');
+      } finally {
+        await guarded.close();
+      }
+    });
+
+    it('answers 413 for request bodies over upload.maxBytes', async () => {
+      const limited = await startProxy({ upload: { maxBytes: 16 } });
+      try {
+        const res = await fetch(proxied(limited.url, `${origin.url}/echo`), {
+          method: 'POST',
+          headers: { 'Content-Type': 'text/plain' },
+          body: 'x'.repeat(64)
+        });
+        assert.strictEqual(res.status, 413);
+        assert.strictEqual(JSON.parse(res.text).limit, 16);
+      } finally {
+        await limited.close();
+      }
+    });
+
+    it('answers 502 when the upstream times out', async () => {
+      const impatient = await startProxy({ upstream: { timeout: 200 }, shutdown: { drainTimeout: 0 } });
+      try {
+        const res = await fetch(proxied(impatient.url, `${origin.url}/hang`));
+        assert.strictEqual(res.status, 502);
+        assert.match(JSON.parse(res.text).message, /TIMEDOUT/);
+      } finally {
+        await impatient.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const {
+  rewriteCSS,
+  rewriteHTML,
+  rewriteJS,
+  rewriteJSSourceMap,
+  rewriteJSON,
+  rewriteRefresh,
+  rewriteURL,
+  rewriteXML
+} = require('../lib/rewrite');
+const { matchGolden, readFixture } = require('./helpers/golden');
+
+const BASE = 'https://example.com/dir/page.html';
+const PROXY = 'http://proxy.test';
+
+describe('rewriteURL', () => {
+  it('encodes absolute URLs as proxy paths', () => {
+    assert.strictEqual(
+      rewriteURL('https://cdn.example.net/a/b.png?x=1#top', BASE, PROXY),
+      'http://proxy.test/proxy/https/cdn.example.net/a/b.png?x=1#top'
+    );
+  });
+
+  it('resolves relative, root-relative and protocol-relative URLs', () => {
+    assert.strictEqual(rewriteURL('img/a.png', BASE, PROXY), 'http://proxy.test/proxy/https/example.com/dir/img/a.png');
+    assert.strictEqual(rewriteURL('/root.css', BASE, PROXY), 'http://proxy.test/proxy/https/example.com/root.css');
+    assert.strictEqual(rewriteURL('../up.js', BASE, PROXY), 'http://proxy.test/proxy/https/example.com/up.js');
+    assert.strictEqual(rewriteURL('//other.example/x', BASE, PROXY), 'http://proxy.test/proxy/https/other.example/x');
+  });
+
+  it('keeps ports in the host segment', () => {
+    assert.strictEqual(rewriteURL('http://localhost:8080/x', BASE, PROXY), 'http://proxy.test/proxy/http/localhost:8080/x');
+  });
+
+  it('leaves non-fetchable URLs alone', () => {
+    ['data:image/png;base64,AAAA', 'javascript:void(0)', 'mailto:a@example.com', 'tel:+1234', '#', 'blob:https://example.com/1', '', undefined]
+      .forEach(value => assert.strictEqual(rewriteURL(value, BASE, PROXY), value));
+  });
+});
+
+describe('rewriteRefresh', () => {
+  it('rewrites the URL and normalizes the value', () => {
+    assert.strictEqual(rewriteRefresh('5;URL=\'/next\'', BASE, PROXY), '5; url=http://proxy.test/proxy/https/example.com/next');
+  });
+
+  it('leaves a plain delay alone', () => {
+    assert.strictEqual(rewriteRefresh('30', BASE, PROXY), '30');
+  });
+});
+
+describe('rewriteHTML', () => {
+  it('matches the golden rewrite of the fixture page', () => {
+    matchGolden('page.html', rewriteHTML(readFixture('page.html'), BASE, PROXY));
+  });
+
+  it('lets onDocument edit the document', () => {
+    const html = rewriteHTML('<p>hi</p>', BASE, PROXY, { onDocument: $ => $('p').addClass('seen') });
+    assert.match(html, /<p class="seen">hi<\/p>/);
+  });
+
+  it('rewrites inline scripts but not data blocks', () => {
+    const html = rewriteHTML([
+      '<script type="module">import "/a.js"; location.assign("/b");</script>',
+      '<script>const next = "</p>" + location.pathname;</script>',
+      '<script type="application/json">{"href": "/c", "location": 1}</script>',
+      '<script type="text/template"><a href="/d">{{location}}</a></script>'
+    ].join(''), BASE, PROXY);
+    assert.match(html, /import "http:\/\/proxy\.test\/proxy\/https\/example\.com\/a\.js"; \(globalThis\.__proxyLocation/);
+    assert.match(html, /const next = "<\/p>" \+ \(globalThis\.__proxyLocation \|\| globalThis\.location\)\.pathname;/);
+    assert.match(html, /<script type="application\/json">\{"href": "\/c", "location": 1\}<\/script>/);
+    assert.match(html, /<script type="text\/template"><a href="\/d">\{\{location\}\}<\/a><\/script>/);
+  });
+});
+
+describe('rewriteCSS', () => {
+  it('matches the golden rewrite of the fixture stylesheet', () => {
+    matchGolden('style.css', rewriteCSS(readFixture('style.css'), 'https://example.com/css/style.css', PROXY));
+  });
+});
+
+describe('rewriteJS', () => {
+  it('matches the golden rewrite of the fixture script', () => {
+    matchGolden('app.js', rewriteJS(readFixture('app.js'), 'https://example.com/js/app.js', PROXY));
+  });
+
+  it('references the source map of a changed script', () => {
+    const js = rewriteJS('import("/a.js");', 'https://example.com/app.js', PROXY, { sourceMapUrl: '/maps/1' });
+    assert.match(js, /\/\/# sourceMappingURL=\/maps\/1\n$/);
+    const unchanged = 'const a = 1;';
+    assert.strictEqual(rewriteJS(unchanged, 'https://example.com/app.js', PROXY, { sourceMapUrl: '/maps/1' }), unchanged);
+  });
+
+  it('rebuilds the edit map of a rewritten script', () => {
+    const source = 'const a = 1;\nimport("/a.js");\n//# sourceMappingURL=app.js.map\n';
+    const { map, upstreamMapUrl } = rewriteJSSourceMap(source, 'https://example.com/js/app.js', PROXY);
+    assert.strictEqual(map.version, 3);
+    assert.deepStrictEqual(map.sources, ['https://example.com/js/app.js']);
+    assert.deepStrictEqual(map.sourcesContent, [source]);
+    assert.strictEqual(upstreamMapUrl, 'https://example.com/js/app.js.map');
+  });
+
+  it('keeps location writes valid for every assignment form', () => {
+    const shim = '(globalThis.__proxyLocation || globalThis.location)';
+    assert.strictEqual(rewriteJS("window.location += '#x';", BASE, PROXY), `${shim}.href += '#x';`);
+    assert.strictEqual(rewriteJS("location ||= '/a';", BASE, PROXY), `${shim}.href ||= '/a';`);
+    ['location++;', '--window.location;', 'for (location in o) {}', 'for (window.location of a) {}', '[location] = a;', '({ location } = o);']
+      .forEach(js => assert.strictEqual(rewriteJS(js, BASE, PROXY), js));
+  });
+
+  it('returns scripts that do not parse unchanged and reports the error', () => {
+    const errors = [];
+    const js = 'function (';
+    assert.strictEqual(rewriteJS(js, BASE, PROXY, { onError: err => errors.push(err) }), js);
+    assert.strictEqual(errors.length, 1);
+  });
+});
+
+describe('rewriteJSON', () => {
+  it('rewrites URL strings at any depth and keeps everything else', () => {
+    const rewritten = rewriteJSON({
+      self: 'https://api.example.com/v1/items',
+      items: [{ href: 'http://example.com/1', id: 1 }],
+      path: '/not/absolute',
+      enabled: true,
+      missing: null
+    }, BASE, PROXY);
+
+    assert.deepStrictEqual(rewritten, {
+      self: 'http://proxy.test/proxy/https/api.example.com/v1/items',
+      items: [{ href: 'http://proxy.test/proxy/http/example.com/1', id: 1 }],
+      path: '/not/absolute',
+      enabled: true,
+      missing: null
+    });
+  });
+});
+
+describe('rewriteXML', () => {
+  it('matches the golden rewrite of the fixture feed', () => {
+    matchGolden('feed.xml', rewriteXML(readFixture('feed.xml'), 'https://example.com/feed.xml', PROXY));
+  });
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { fetch } = require('./helpers/http');
+const { startOrigin } = require('./helpers/origin');
+const { proxied, startProxy } = require('./helpers/proxy');
+const { loadServiceWorker } = require('./helpers/service-worker');
+
+describe('service worker', () => {
+  let origin;
+  let proxy;
+  let worker;
+  let page;
+
+  before(async () => {
+    origin = await startOrigin();
+    proxy = await startProxy({ serviceWorker: { enabled: true }, mountPath: '/tools' });
+    page = proxied(`${proxy.url}/tools`, `${origin.url}/fixtures/page.html`);
+
+    const res = await fetch(page);
+    const scriptUrl = res.text.match(/data-service-worker="([^"]+)"/)[1];
+    assert.strictEqual(scriptUrl, `${proxy.url}/tools/__proxy/sw.js`);
+
+    const script = await fetch(scriptUrl);
+    assert.strictEqual(script.status, 200);
+    assert.strictEqual(script.headers['service-worker-allowed'], '/tools/proxy/');
+    worker = loadServiceWorker(script.text, scriptUrl);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await origin.close();
+  });
+
+  it('is only registered when serviceWorker.enabled is set', async () => {
+    const plain = await startProxy();
+    try {
+      const res = await fetch(proxied(plain.url, `${origin.url}/fixtures/page.html`));
+      assert.ok(!res.text.includes('data-service-worker'));
+      assert.strictEqual((await fetch(`${plain.url}/__proxy/sw.js`)).status, 404);
+    } finally {
+      await plain.close();
+    }
+  });
+
+  it('proxies cross-origin requests', async () => {
+    assert.strictEqual(await worker.handle('https://cdn.example.net/lib.js?v=2'),
+      `${proxy.url}/tools/proxy/https/cdn.example.net/lib.js?v=2`);
+  });
+
+  it('resolves root-relative requests against the page\'s original URL', async () => {
+    const expected = proxied(`${proxy.url}/tools`, `${origin.url}/api/items?page=2`);
+    assert.strictEqual(await worker.handle(`${proxy.url}/api/items?page=2`, { referrer: page }), expected);
+    assert.strictEqual(await worker.handle(`${proxy.url}/api/items?page=2`, { clientUrl: page }), expected);
+  });
+
+  it('lets proxy URLs and the proxy\'s own assets through', async () => {
+    for (const url of [page, `${proxy.url}/tools/__proxy/runtime.js`, `${proxy.url}/elsewhere`, 'data:text/plain,hi']) {
+      assert.strictEqual(await worker.handle(url), url);
+    }
+  });
+});